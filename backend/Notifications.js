@@ -0,0 +1,61 @@
+// Connected sockets by peer ID. A user with several tabs open has one
+// socket per tab, and every one of them gets the user's events.
+const socketsByPeer = new Map();
+
+const addSocket = (peerId, socket) => {
+  if (!socketsByPeer.has(peerId)) {
+    socketsByPeer.set(peerId, new Set());
+  }
+  socketsByPeer.get(peerId).add(socket);
+};
+
+// Returns how many sockets the peer still has open
+const removeSocket = (peerId, socket) => {
+  const sockets = socketsByPeer.get(peerId);
+  if (!sockets) return 0;
+  sockets.delete(socket);
+  if (!sockets.size) {
+    socketsByPeer.delete(peerId);
+  }
+  return sockets.size;
+};
+
+// Emit an event to every socket of a peer; returns how many were reached
+const notifyPeer = (peerId, event, payload) => {
+  const sockets = socketsByPeer.get(peerId);
+  if (!sockets) return 0;
+  sockets.forEach((socket) => socket.emit(event, payload));
+  return sockets.size;
+};
+
+// Tell both ends of a queued file that its status changed. Receivers are
+// also told when a file becomes available or is taken back.
+const notifyMessageStatus = (message) => {
+  const payload = {
+    messageId: message._id.toString(),
+    status: message.status,
+    fileName: message.fileName,
+    senderPeerId: message.senderPeerId,
+    receiverPeerId: message.receiverPeerId,
+  };
+
+  notifyPeer(message.senderPeerId, "message-status", payload);
+  notifyPeer(message.receiverPeerId, "message-status", payload);
+
+  if (message.status === "ready") {
+    notifyPeer(message.receiverPeerId, "file-received", {
+      messageId: payload.messageId,
+      from: message.senderUsername,
+      fileName: message.fileName,
+      fileSize: message.fileSize,
+    });
+  } else if (message.status === "recalled") {
+    notifyPeer(message.receiverPeerId, "file-recalled", {
+      messageId: payload.messageId,
+      from: message.senderUsername,
+      fileName: message.fileName,
+    });
+  }
+};
+
+module.exports = { addSocket, removeSocket, notifyPeer, notifyMessageStatus };
@@ -1,147 +1,246 @@
 const mongoose = require("mongoose");
 const MessageQueue = require("./models/MessageQueue");
 const OnlineUsers = require("./models/OnlineUsers");
-const axios = require("axios");
-
-// Constants for polling configuration
-const POLLING_INTERVAL = 30000; // 30 seconds
-const MAX_DELIVERY_ATTEMPTS = 2880; // 24 hours with 30-second intervals
+const { getStorageProvider } = require("./storage");
+const { scanQueuedMessage } = require("./Scanning");
+const { notifyMessageStatus } = require("./Notifications");
+const { createJobQueue, deferJob } = require("./utils/jobQueue");
+
+// Delivery runs as jobs on a Redis-backed queue. Jobs are queued with the
+// file and brought forward whenever its receiver comes online; the sweep
+// only restores jobs that went missing.
+const RECONCILE_INTERVAL = 60 * 60 * 1000; // 1 hour
 const MAX_QUEUE_AGE = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+const MAX_DELIVERY_ATTEMPTS = 30; // About a day once the backoff hits its cap
 
-// Function to check IPFS file availability
-async function checkIPFSFile(ipfsHash) {
-  try {
-    const response = await axios.get(
-      `https://gateway.pinata.cloud/ipfs/${ipfsHash}`,
-      {
-        timeout: 5000, // 5 second timeout
-        validateStatus: (status) => status === 200,
+const JobType = {
+  DELIVER: "deliver-message", // Scan, then wait for the receiver
+  VERIFY: "verify-content", // Check the stored file, then mark ready
+  EXPIRE: "expire-message", // Fail what was not delivered in time
+};
+
+const JOB_OPTIONS = {
+  [JobType.DELIVER]: {
+    attempts: MAX_DELIVERY_ATTEMPTS,
+    backoffMs: 30 * 1000,
+    maxBackoffMs: 60 * 60 * 1000,
+    timeoutMs: 10 * 60 * 1000, // Large files take a while to scan
+  },
+  [JobType.VERIFY]: {
+    attempts: 5,
+    backoffMs: 30 * 1000,
+    maxBackoffMs: 10 * 60 * 1000,
+    timeoutMs: 60 * 1000,
+  },
+  [JobType.EXPIRE]: {
+    attempts: 5,
+    backoffMs: 60 * 1000,
+    maxBackoffMs: 60 * 60 * 1000,
+    timeoutMs: 30 * 1000,
+  },
+};
+
+let queue = null;
+
+// Job ids double as deduplication keys: one job of each type per message
+const addJob = (type, messageId, options = {}) =>
+  queue.add(
+    type,
+    { messageId: messageId.toString() },
+    { ...JOB_OPTIONS[type], jobId: `${type}:${messageId}`, ...options }
+  );
+
+// Deliveries must be over by this time, counted from the latest (re)queue
+const expiresAt = (message) =>
+  (message.requeuedAt || message.createdAt).getTime() + MAX_QUEUE_AGE;
+
+// A requeued message gets a new deadline, and with it a job of its own
+const scheduleExpiry = (message) =>
+  addJob(JobType.EXPIRE, message._id, {
+    jobId: `${JobType.EXPIRE}:${message._id}:${expiresAt(message)}`,
+    delayMs: expiresAt(message) - Date.now(),
+  });
+
+/**
+ * Queue the delivery and expiry jobs of a pending message. Jobs that
+ * already exist are left as they are.
+ * @param {Object} message MessageQueue document
+ * @param {Object} options `promote` to retry a waiting delivery now
+ * instead of after its backoff
+ */
+const scheduleDelivery = async (message, { promote = false } = {}) => {
+  await addJob(JobType.DELIVER, message._id, { promote });
+  await scheduleExpiry(message);
+};
+
+const failMessage = async (filter, failureReason) => {
+  const failed = await MessageQueue.findOneAndUpdate(
+    filter,
+    { status: "failed", failedAt: new Date(), failureReason },
+    { new: true }
+  );
+  if (failed) {
+    console.log(`❌ Message ${failed._id} marked as failed: ${failureReason}`);
+    notifyMessageStatus(failed);
+  }
+};
+
+const handlers = {
+  [JobType.DELIVER]: async ({ messageId }) => {
+    const message = await MessageQueue.findById(messageId);
+    // Recalled, quarantined or failed since the job was queued
+    if (message?.status !== "pending") return;
+
+    // Nothing leaves pending before the malware scan has passed
+    if (!(await scanQueuedMessage(message))) {
+      if (await MessageQueue.exists({ _id: messageId, status: "pending" })) {
+        throw new Error("Malware scan did not complete");
       }
+      return;
+    }
+
+    const receiverOnline = await OnlineUsers.exists({
+      peerId: message.receiverPeerId,
+      status: "online",
+    });
+    if (!receiverOnline) {
+      throw deferJob(`Receiver ${message.receiverPeerId} is offline`);
+    }
+
+    await addJob(JobType.VERIFY, messageId);
+  },
+
+  [JobType.VERIFY]: async ({ messageId }) => {
+    const message = await MessageQueue.findById(messageId);
+    if (message?.status !== "pending") return;
+
+    // Storage errors are retried; only a missing file fails the message
+    const { exists } = await getStorageProvider(message.storageProvider).stat(
+      message.ipfsHash
     );
-    return true;
-  } catch (error) {
-    console.error(
-      `❌ IPFS file check failed for hash ${ipfsHash}:`,
-      error.message
+
+    if (!exists) {
+      console.log(
+        `❌ Stored file ${message.ipfsHash} not available. Marking as failed.`
+      );
+      const failed = await MessageQueue.findOneAndUpdate(
+        { _id: messageId, status: "pending" },
+        { status: "failed", failedAt: new Date(), $inc: { attempts: 1 } },
+        { new: true }
+      );
+      if (failed) notifyMessageStatus(failed);
+      return;
+    }
+
+    // Mark as ready for delivery, unless it was recalled meanwhile
+    const ready = await MessageQueue.findOneAndUpdate(
+      { _id: messageId, status: "pending" },
+      { status: "ready", readyAt: new Date(), $inc: { attempts: 1 } },
+      { new: true }
+    );
+
+    if (ready) {
+      console.log(`✅ Message ${messageId} marked as ready for delivery`);
+      // Connected receivers hear about it now; others when they next poll
+      notifyMessageStatus(ready);
+    }
+  },
+
+  [JobType.EXPIRE]: async ({ messageId }) => {
+    const message = await MessageQueue.findById(messageId);
+    // Only undelivered messages can run out of time
+    if (!["pending", "ready"].includes(message?.status)) return;
+    // Requeued since; the job for the new deadline takes over
+    if (expiresAt(message) > Date.now()) return;
+
+    await failMessage(
+      { _id: messageId, status: { $in: ["pending", "ready"] } },
+      "Message queue age exceeded"
+    );
+  },
+};
+
+// A delivery that runs out of attempts fails its message
+const handleDeadJob = async (job) => {
+  if (job.type === JobType.DELIVER || job.type === JobType.VERIFY) {
+    await failMessage(
+      { _id: job.data.messageId, status: "pending" },
+      "Maximum delivery attempts reached"
     );
-    return false;
   }
-}
+};
 
-// Main polling function - no socketIO dependency
-const pollMessageQueue = async () => {
-  console.log("🔍 Polling the message queue...");
+// Deliver everything waiting for a receiver that just came online
+const deliverPendingMessages = async (receiverPeerId) => {
+  const messages = await MessageQueue.find({
+    receiverPeerId,
+    status: "pending",
+  });
 
+  for (const message of messages) {
+    await scheduleDelivery(message, { promote: true });
+  }
+};
+
+// Safety-net sweep - restores the jobs of undelivered messages, e.g. after
+// Redis lost data or for messages queued before delivery ran on jobs
+const reconcileQueue = async () => {
   try {
-    // 1️⃣ Fetch pending messages from the queue
     const messages = await MessageQueue.find({
-      status: "pending",
-      attempts: { $lt: MAX_DELIVERY_ATTEMPTS },
-      createdAt: { $gt: new Date(Date.now() - MAX_QUEUE_AGE) } // Only process messages less than 24 hours old
-    }).sort({ timestamp: 1 });
-
-    console.log(`📦 Found ${messages.length} pending messages`);
+      status: { $in: ["pending", "ready"] },
+    });
 
     for (const message of messages) {
-      const { receiverPeerId, ipfsHash, _id } = message;
-
-      // 2️⃣ Check if the receiver is online
-      const onlineUser = await OnlineUsers.findOne({
-        peerId: receiverPeerId,
-        status: "online",
-      });
-
-      if (onlineUser) {
-        console.log(
-          `✅ Receiver ${receiverPeerId} is online. Processing message...`
-        );
-
-        // 3️⃣ Verify IPFS file is still available
-        const isFileAvailable = await checkIPFSFile(ipfsHash);
-
-        if (!isFileAvailable) {
-          console.log(
-            `❌ IPFS file ${ipfsHash} not available. Marking as failed.`
-          );
-          await MessageQueue.findByIdAndUpdate(_id, {
-            status: "failed",
-            $inc: { attempts: 1 },
-          });
-          continue;
-        }
-
-        // 4️⃣ Mark as ready for delivery
-        // The receiver will fetch this message when they poll for updates
-        await MessageQueue.findByIdAndUpdate(_id, {
-          status: "ready",
-          readyAt: new Date(),
-          $inc: { attempts: 1 },
-        });
-
-        console.log(`✅ Message ${_id} marked as ready for delivery`);
+      if (message.status === "pending") {
+        await scheduleDelivery(message);
       } else {
-        // 5️⃣ Increment attempt count for offline receivers
-        await MessageQueue.findByIdAndUpdate(_id, {
-          $inc: { attempts: 1 },
-        });
-
-        console.log(
-          `⏳ Receiver ${receiverPeerId} is offline. Attempt ${
-            message.attempts + 1
-          }/${MAX_DELIVERY_ATTEMPTS}`
-        );
+        await scheduleExpiry(message);
       }
     }
 
-    // 6️⃣ Clean up failed messages and old messages
-    const failedMessages = await MessageQueue.find({
-      $or: [
-        { status: "pending", attempts: { $gte: MAX_DELIVERY_ATTEMPTS } },
-        { createdAt: { $lt: new Date(Date.now() - MAX_QUEUE_AGE) } }
-      ]
-    });
-
-    for (const message of failedMessages) {
-      await MessageQueue.findByIdAndUpdate(message._id, {
-        status: "failed",
-        failedAt: new Date(),
-        failureReason: message.attempts >= MAX_DELIVERY_ATTEMPTS 
-          ? "Maximum delivery attempts reached" 
-          : "Message queue age exceeded"
-      });
-      console.log(
-        `❌ Message ${message._id} marked as failed: ${
-          message.attempts >= MAX_DELIVERY_ATTEMPTS 
-            ? "Maximum delivery attempts reached" 
-            : "Message queue age exceeded"
-        }`
-      );
-    }
+    console.log(`🔍 Checked delivery jobs of ${messages.length} messages`);
   } catch (error) {
-    console.error("⚠️ Error polling message queue:", error);
+    console.error("⚠️ Error reconciling the delivery queue:", error);
   }
 };
 
-// Start the polling process
-const startPolling = () => {
+// Start the delivery workers and the safety-net sweep
+const startDelivery = (redis) => {
   console.log(
-    `🚀 Starting message queue polling (every ${
-      POLLING_INTERVAL / 1000
+    `🚀 Starting message delivery jobs (sweep every ${
+      RECONCILE_INTERVAL / 1000
     } seconds)`
   );
 
+  queue = createJobQueue(redis, "delivery");
+  queue.start(handlers, { onDead: handleDeadJob });
+
+  // Deliver as soon as a receiver logs in, reconnects or heartbeats
+  OnlineUsers.on("online", ({ peerId }) => {
+    deliverPendingMessages(peerId).catch((error) =>
+      console.error(`⚠️ Error delivering messages to ${peerId}:`, error)
+    );
+  });
+
   // Run once immediately
-  pollMessageQueue();
+  reconcileQueue();
 
   // Then set interval
-  return setInterval(pollMessageQueue, POLLING_INTERVAL);
+  return setInterval(reconcileQueue, RECONCILE_INTERVAL);
 };
 
-// Export the polling function and constants
+// The delivery queue, for inspecting job state
+const getDeliveryQueue = () => queue;
+
+// Export the delivery functions and constants
 module.exports = {
-  startPolling,
-  pollMessageQueue,
-  POLLING_INTERVAL,
+  startDelivery,
+  scheduleDelivery,
+  deliverPendingMessages,
+  reconcileQueue,
+  getDeliveryQueue,
+  JobType,
+  RECONCILE_INTERVAL,
   MAX_DELIVERY_ATTEMPTS,
   MAX_QUEUE_AGE,
 };
@@ -0,0 +1,202 @@
+const MessageQueue = require("./models/MessageQueue");
+const StorageRemoval = require("./models/StorageRemoval");
+const { releaseStoredContent } = require("./utils/storedContent");
+
+const HOUR = 60 * 60 * 1000;
+
+// Hours from the environment, allowing 0 to mean "immediately"
+const readHours = (name, fallback) => {
+  const hours = parseFloat(process.env[name]);
+  return (Number.isFinite(hours) && hours >= 0 ? hours : fallback) * HOUR;
+};
+
+// Retention policy: how long stored content outlives its message. Dismissed
+// files use the delivered grace period.
+const DELIVERED_GRACE_PERIOD = readHours("RETENTION_DELIVERED_GRACE_HOURS", 24);
+// Failed messages wait longer so an admin can still requeue them, and
+// quarantined files stay around as long for inspection
+const FAILED_GRACE_PERIOD = readHours("RETENTION_FAILED_GRACE_HOURS", 72);
+const RETENTION_INTERVAL = HOUR;
+
+// Why content was removed
+const RemovalReason = {
+  DELIVERED: "delivered",
+  DISMISSED: "dismissed",
+  EXPIRED: "expired",
+  FAILED: "failed",
+  RECALLED: "recalled",
+  QUARANTINED: "quarantined",
+};
+
+const reasonFor = (message) => {
+  if (message.status === "delivered") return RemovalReason.DELIVERED;
+  if (message.status === "dismissed") return RemovalReason.DISMISSED;
+  if (message.status === "recalled") return RemovalReason.RECALLED;
+  if (message.status === "quarantined") return RemovalReason.QUARANTINED;
+  return message.failureReason === "Message queue age exceeded"
+    ? RemovalReason.EXPIRED
+    : RemovalReason.FAILED;
+};
+
+// Messages whose content the policy says should go now
+const findExpiredContent = (now) => {
+  const failedBefore = new Date(now - FAILED_GRACE_PERIOD);
+  return MessageQueue.find({
+    contentRemovedAt: null,
+    $or: [
+      {
+        status: "delivered",
+        deliveredAt: { $lt: new Date(now - DELIVERED_GRACE_PERIOD) },
+      },
+      {
+        status: "dismissed",
+        dismissedAt: { $lt: new Date(now - DELIVERED_GRACE_PERIOD) },
+      },
+      { status: "failed", failedAt: { $lt: failedBefore } },
+      // Storage check failures are marked failed without a failedAt
+      { status: "failed", failedAt: null, updatedAt: { $lt: failedBefore } },
+      { status: "recalled" },
+      { status: "quarantined", quarantinedAt: { $lt: failedBefore } },
+    ],
+  }).sort({ createdAt: 1 });
+};
+
+/**
+ * Release one message's stored content. The object is only deleted from
+ * the storage backend once no other message holds a reference to it.
+ * @param {Object} message MessageQueue document
+ * @param {Object} options `reason`, `trigger`, `dryRun`, and `releasedIds`:
+ * ids already released in this run, so a dry run reports shared content
+ * the way a real run would handle it
+ * @returns {Promise<Object>} Report entry for the message
+ */
+const releaseContent = async (
+  message,
+  {
+    reason = reasonFor(message),
+    trigger = "schedule",
+    dryRun = false,
+    releasedIds = [],
+  } = {}
+) => {
+  const entry = {
+    messageId: message._id,
+    storageProvider: message.storageProvider,
+    key: message.ipfsHash,
+    fileName: message.fileName,
+    fileSize: message.fileSize,
+    senderPeerId: message.senderPeerId,
+    receiverPeerId: message.receiverPeerId,
+    reason,
+    trigger,
+  };
+  if (dryRun) {
+    // Every live message holds one reference, so counting them predicts
+    // whether the last one would go
+    entry.contentDeleted = !(await MessageQueue.exists({
+      _id: { $nin: [message._id, ...releasedIds] },
+      storageProvider: message.storageProvider,
+      ipfsHash: message.ipfsHash,
+      contentRemovedAt: null,
+    }));
+    return entry;
+  }
+
+  entry.contentDeleted = await releaseStoredContent(message);
+  await MessageQueue.findByIdAndUpdate(message._id, {
+    contentRemovedAt: new Date(),
+    contentRemovalReason: reason,
+  });
+  await StorageRemoval.create(entry);
+
+  console.log(
+    `🗑️ Released ${message.ipfsHash} (${reason})${
+      entry.contentDeleted ? "" : ", still used by other messages"
+    }`
+  );
+  return entry;
+};
+
+/**
+ * Apply the retention policy to every eligible message.
+ * @param {Object} options `dryRun` to only report what would be removed,
+ * `trigger` to record who started the run
+ * @returns {Promise<Object>} Report with each released item and totals
+ */
+const runRetention = async ({ dryRun = false, trigger = "schedule" } = {}) => {
+  const now = Date.now();
+  const messages = await findExpiredContent(now);
+  const items = [];
+  const errors = [];
+  const releasedIds = [];
+
+  for (const message of messages) {
+    try {
+      const entry = await releaseContent(message, {
+        trigger,
+        dryRun,
+        releasedIds,
+      });
+      releasedIds.push(message._id);
+      items.push(entry);
+    } catch (error) {
+      // Left in place so the next run retries it
+      console.error(`❌ Failed to release ${message.ipfsHash}:`, error.message);
+      errors.push({ messageId: message._id, error: error.message });
+    }
+  }
+
+  const byReason = {};
+  for (const reason of Object.values(RemovalReason)) {
+    byReason[reason] = items.filter((item) => item.reason === reason).length;
+  }
+  const deleted = items.filter((item) => item.contentDeleted);
+
+  return {
+    dryRun,
+    generatedAt: new Date(now),
+    policy: {
+      deliveredGraceHours: DELIVERED_GRACE_PERIOD / HOUR,
+      failedGraceHours: FAILED_GRACE_PERIOD / HOUR,
+    },
+    totals: {
+      messages: items.length,
+      filesDeleted: deleted.length,
+      bytesFreed: deleted.reduce((sum, item) => sum + (item.fileSize || 0), 0),
+      byReason,
+      errors: errors.length,
+    },
+    items,
+    errors,
+  };
+};
+
+// Start the retention process
+const startRetention = () => {
+  console.log(
+    `🚀 Starting storage retention (every ${RETENTION_INTERVAL / HOUR} hour)`
+  );
+
+  const run = () =>
+    runRetention()
+      .then(({ totals }) => {
+        if (totals.messages) {
+          console.log(
+            `🧹 Retention released ${totals.messages} file(s), ${totals.bytesFreed} bytes freed`
+          );
+        }
+      })
+      .catch((error) => console.error("⚠️ Error applying retention:", error));
+
+  run();
+  return setInterval(run, RETENTION_INTERVAL);
+};
+
+module.exports = {
+  startRetention,
+  runRetention,
+  releaseContent,
+  RemovalReason,
+  DELIVERED_GRACE_PERIOD,
+  FAILED_GRACE_PERIOD,
+};
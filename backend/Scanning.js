@@ -0,0 +1,73 @@
+const MessageQueue = require("./models/MessageQueue");
+const { getStorageProvider } = require("./storage");
+const { getScanner } = require("./scanners");
+const { notifyMessageStatus } = require("./Notifications");
+
+// Scan results that mean the file was checked and found clean
+const SCAN_PASSED = ["clean"];
+
+/**
+ * Make sure a pending message's stored file has been scanned. Infected
+ * files are moved to `quarantined` and never offered to the receiver.
+ *
+ * End-to-end encrypted files cannot be scanned at all: storage only holds
+ * their ciphertext and only the receiver's browser has the key. They are
+ * delivered marked `skipped`, and both ends are shown that the file was
+ * not scanned. Deployments that need every file scanned set the file
+ * policy's offlineProtection to "scanned" (see utils/filePolicy.js).
+ * @param {Object} message MessageQueue document
+ * @returns {Promise<boolean>} Whether the message may leave `pending`
+ */
+const scanQueuedMessage = async (message) => {
+  if (SCAN_PASSED.includes(message.scan?.status)) return true;
+
+  if (message.encrypted) {
+    if (message.scan?.status !== "skipped") {
+      await MessageQueue.findByIdAndUpdate(message._id, {
+        scan: { status: "skipped", scannedAt: new Date() },
+      });
+    }
+    return true;
+  }
+
+  const scanner = getScanner();
+  try {
+    const { stream } = await getStorageProvider(message.storageProvider).get(
+      message.ipfsHash
+    );
+    const { clean, threat } = await scanner.scan(stream);
+    const scan = {
+      status: clean ? "clean" : "infected",
+      scanner: scanner.name,
+      threat,
+      scannedAt: new Date(),
+    };
+
+    if (clean) {
+      await MessageQueue.findByIdAndUpdate(message._id, { scan });
+      console.log(`🛡️ Message ${message._id} scanned clean`);
+      return true;
+    }
+
+    // A recall may have won the race; only quarantine what is still queued
+    const quarantined = await MessageQueue.findOneAndUpdate(
+      { _id: message._id, status: "pending" },
+      { status: "quarantined", quarantinedAt: new Date(), scan },
+      { new: true }
+    );
+    if (quarantined) {
+      console.log(`☣️ Message ${message._id} quarantined: ${threat}`);
+      notifyMessageStatus(quarantined);
+    }
+    return false;
+  } catch (error) {
+    // Left pending so the next delivery attempt scans it again
+    console.error(
+      `❌ Malware scan failed for ${message.ipfsHash}:`,
+      error.message
+    );
+    return false;
+  }
+};
+
+module.exports = { scanQueuedMessage, SCAN_PASSED };
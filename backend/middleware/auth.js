@@ -0,0 +1,86 @@
+const User = require("../models/Users");
+const { verifyAccessToken } = require("../utils/tokens");
+
+// Pull the access token from the Authorization header.
+// sendBeacon cannot set headers, so beacon requests carry it in the body.
+const extractToken = (req) => {
+  const header = req.headers.authorization || "";
+  if (header.startsWith("Bearer ")) {
+    return header.slice(7).trim();
+  }
+  if (req.body && typeof req.body.token === "string") {
+    return req.body.token;
+  }
+  return null;
+};
+
+// Resolve a token to the user it was issued for
+const resolveUserFromToken = async (token) => {
+  const payload = verifyAccessToken(token);
+  const user = await User.findById(payload.sub);
+  if (!user) {
+    throw new Error("User no longer exists");
+  }
+  if (user.disabledAt) {
+    throw new Error("Account is disabled");
+  }
+  // Tokens issued before a password reset or change are revoked
+  if ((payload.ver || 0) !== (user.tokenVersion || 0)) {
+    throw new Error("Session has been revoked");
+  }
+  return { user, payload };
+};
+
+// Express middleware: reject requests without a valid access token
+// and expose the authenticated user as req.user
+const requireAuth = async (req, res, next) => {
+  const token = extractToken(req);
+  if (!token) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+
+  try {
+    const { user, payload } = await resolveUserFromToken(token);
+    req.user = user;
+    req.auth = payload;
+    next();
+  } catch (error) {
+    console.log(`❌ Rejected access token: ${error.message}`);
+    return res.status(401).json({ error: "Invalid or expired session" });
+  }
+};
+
+// Express middleware (after requireAuth): only let admins through
+const requireAdmin = (req, res, next) => {
+  if (req.user?.role !== "admin") {
+    console.log(`⛔ Non-admin ${req.user?.username} tried ${req.originalUrl}`);
+    return res.status(403).json({ error: "Admin access required" });
+  }
+  next();
+};
+
+// Socket.IO middleware: the client passes its token in the handshake
+// (`io(url, { auth: { token } })`) and the user is stored on socket.data
+const authenticateSocket = async (socket, next) => {
+  const token = socket.handshake.auth?.token;
+  if (!token) {
+    return next(new Error("Authentication required"));
+  }
+
+  try {
+    const { user } = await resolveUserFromToken(token);
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    console.log(`❌ Rejected socket handshake: ${error.message}`);
+    next(new Error("Invalid or expired session"));
+  }
+};
+
+module.exports = {
+  requireAuth,
+  requireAdmin,
+  authenticateSocket,
+  extractToken,
+  resolveUserFromToken,
+};
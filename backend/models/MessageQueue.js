@@ -14,23 +14,77 @@ const messageQueueSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Key of the file in its storage provider (a CID for IPFS providers)
     ipfsHash: {
       type: String,
       required: true,
     },
+    storageProvider: {
+      type: String,
+      default: "pinata", // Messages queued before providers were pluggable
+    },
     fileName: {
       type: String,
       required: true,
     },
+    mimeType: {
+      type: String, // Original type; encrypted files are stored as octet-stream
+    },
+    detectedType: {
+      type: String, // Type sniffed from the stored bytes; null when encrypted
+      default: null,
+    },
     fileSize: {
       type: Number,
       required: true,
     },
+    encrypted: {
+      type: Boolean,
+      default: false, // True when the sender encrypted the file for the receiver
+    },
+    sha256: {
+      type: String, // Hash of the content, computed while streaming the upload
+    },
+    wrappedKeys: {
+      // JSON: the file's data key wrapped for each receiver device. Kept out
+      // of the stored bytes so identical files are stored once.
+      type: String,
+    },
+    storedContentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "StoredContent", // Shared object this message holds a reference to
+      default: null,
+    },
+    manifest: {
+      type: String, // Sender-signed JSON: file hash, name, size, receiver, time
+    },
+    signature: {
+      type: String, // base64url ECDSA P-256 signature over the manifest
+    },
     status: {
       type: String,
-      enum: ["pending", "ready", "delivered", "failed"],
+      enum: [
+        "pending",
+        "ready",
+        "delivered",
+        "dismissed",
+        "failed",
+        "recalled",
+        "quarantined",
+      ],
       default: "pending",
     },
+    scan: {
+      status: {
+        type: String,
+        // skipped: end-to-end encrypted, so it could not be scanned
+        enum: ["pending", "clean", "infected", "skipped"],
+        default: "pending",
+      },
+      scanner: { type: String }, // Scanner that reached the verdict
+      threat: { type: String }, // Signature name reported for infected files
+      scannedAt: { type: Date },
+    },
     attempts: {
       type: Number,
       default: 0,
@@ -42,17 +96,60 @@ const messageQueueSchema = new mongoose.Schema(
     readyAt: {
       type: Date,
     },
+    downloadedBytes: {
+      type: Number, // Bytes from the start of the file the proxy has served
+      default: 0,
+    },
+    downloadCompletedAt: {
+      type: Date, // When the proxy had served every byte of the file
+    },
     deliveredAt: {
       type: Date,
     },
+    dismissedAt: {
+      type: Date, // Set when the receiver declines the file without downloading
+    },
     failedAt: {
       type: Date,
     },
+    requeuedAt: {
+      type: Date,
+    },
+    recalledAt: {
+      type: Date, // Set when the sender withdraws an undelivered file
+    },
+    quarantinedAt: {
+      type: Date, // Set when the malware scan flags the file
+    },
+    receiverAlertedAt: {
+      type: Date, // When the receiver was warned about a quarantined file
+    },
+    senderAlertedAt: {
+      type: Date, // When the sender was told their file was quarantined
+    },
+    contentRemovedAt: {
+      type: Date, // Set once the retention policy released the stored file
+      default: null,
+    },
+    contentRemovalReason: {
+      type: String,
+      enum: [
+        "delivered",
+        "dismissed",
+        "expired",
+        "failed",
+        "recalled",
+        "quarantined",
+        null,
+      ],
+      default: null,
+    },
     failureReason: {
       type: String,
       enum: [
         "Maximum delivery attempts reached",
         "Message queue age exceeded",
+        "Failed by administrator",
         null,
       ],
       default: null,
@@ -64,6 +161,7 @@ const messageQueueSchema = new mongoose.Schema(
 // Index for faster queries
 messageQueueSchema.index({ receiverPeerId: 1, status: 1 });
 messageQueueSchema.index({ timestamp: 1 });
+messageQueueSchema.index({ senderPeerId: 1, createdAt: -1 });
 
 // Export the schema
 module.exports = mongoose.model("MessageQueue", messageQueueSchema);
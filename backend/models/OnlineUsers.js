@@ -23,8 +23,9 @@ onlineUserSchema.methods.updateLastSeen = function () {
 };
 
 // Static method to mark user as online
+// Emits "online" so queued messages can be delivered right away
 onlineUserSchema.statics.markOnline = async function (userData) {
-  return this.findOneAndUpdate(
+  const onlineUser = await this.findOneAndUpdate(
     { peerId: userData.peerId },
     {
       peerId: userData.peerId,
@@ -35,6 +36,8 @@ onlineUserSchema.statics.markOnline = async function (userData) {
     },
     { upsert: true, new: true }
   );
+  this.emit("online", onlineUser);
+  return onlineUser;
 };
 
 // Static method to mark user as offline
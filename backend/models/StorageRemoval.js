@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+// One entry per queued file whose stored content the retention policy
+// released, kept after the message itself is gone
+const storageRemovalSchema = new mongoose.Schema({
+  messageId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  storageProvider: { type: String, required: true },
+  key: { type: String, required: true }, // ipfsHash / object key that was removed
+  fileName: { type: String },
+  fileSize: { type: Number, default: 0 },
+  senderPeerId: { type: String },
+  receiverPeerId: { type: String },
+  reason: {
+    type: String,
+    enum: [
+      "delivered",
+      "dismissed",
+      "expired",
+      "failed",
+      "recalled",
+      "quarantined",
+    ],
+    required: true,
+  },
+  trigger: {
+    type: String,
+    enum: ["schedule", "admin", "recall"],
+    default: "schedule",
+  },
+  contentDeleted: { type: Boolean, default: true }, // False when other messages still use the content
+  removedAt: { type: Date, default: Date.now },
+});
+
+// Index for faster queries
+storageRemovalSchema.index({ removedAt: -1 });
+storageRemovalSchema.index({ messageId: 1 });
+
+// Export the schema
+module.exports = mongoose.model("StorageRemoval", storageRemovalSchema);
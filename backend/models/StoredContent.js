@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// One entry per object in a storage backend, shared by every queued message
+// whose file has the same content. The object is deleted once the last
+// message referencing it lets go.
+const storedContentSchema = new mongoose.Schema({
+  storageProvider: { type: String, required: true },
+  sha256: { type: String, required: true }, // Hash of the stored bytes
+  key: { type: String, required: true }, // ipfsHash / object key
+  size: { type: Number, default: 0 },
+  refCount: { type: Number, default: 0 }, // Messages still using the object
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Index for faster queries
+storedContentSchema.index({ storageProvider: 1, sha256: 1 }, { unique: true });
+storedContentSchema.index({ storageProvider: 1, key: 1 });
+
+// Export the schema
+module.exports = mongoose.model("StoredContent", storedContentSchema);
@@ -5,6 +5,52 @@ const userSchema = new mongoose.Schema({
   email: { type: String, required: true, unique: true }, // Added email field
   password: { type: String, required: true },
   peerId: { type: String, required: true, unique: true },
+  peerIdHistory: [
+    {
+      peerId: { type: String, required: true },
+      assignedAt: { type: Date, default: Date.now },
+      retiredAt: { type: Date, default: null },
+      _id: false,
+    },
+  ],
+  role: { type: String, enum: ["user", "admin"], default: "user" },
+  disabledAt: { type: Date, default: null }, // Set when an admin disables the account
+  tokenVersion: { type: Number, default: 0 }, // Bumped to revoke all issued tokens
+  emailVerified: { type: Date, default: null }, // When the email passed OTP verification
+  publicKeys: [
+    {
+      keyId: { type: String, required: true }, // RFC 7638 thumbprint
+      publicKey: { type: Object, required: true }, // ECDH P-256 JWK
+      label: { type: String, default: "" }, // e.g. the browser it came from
+      createdAt: { type: Date, default: Date.now },
+      _id: false,
+    },
+  ],
+  signingKeys: [
+    {
+      keyId: { type: String, required: true }, // RFC 7638 thumbprint
+      publicKey: { type: Object, required: true }, // ECDSA P-256 JWK
+      label: { type: String, default: "" },
+      createdAt: { type: Date, default: Date.now },
+      _id: false,
+    },
+  ],
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, default: null }, // Base32 TOTP secret once enabled
+    pendingSecret: { type: String, default: null }, // Secret awaiting first code
+    lastUsedStep: { type: Number, default: -1 }, // Blocks replay of a used code
+    recoveryCodes: { type: [String], default: [] }, // bcrypt hashes
+    enabledAt: { type: Date, default: null },
+  },
+  // Quota held by uploads that are being stored but not yet queued
+  quotaReservations: [
+    {
+      bytes: { type: Number, required: true },
+      expiresAt: { type: Date, required: true }, // Left by a crashed upload
+    },
+  ],
+  quotaVersion: { type: Number, default: 0 }, // Bumped on every reservation change
   createdAt: {
     type: Date,
     default: Date.now,
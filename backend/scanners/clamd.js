@@ -0,0 +1,83 @@
+const net = require("net");
+const { once } = require("events");
+
+// ClamAV daemon, reached over a Unix socket or TCP
+const CLAMD_SOCKET = process.env.CLAMD_SOCKET;
+const CLAMD_HOST = process.env.CLAMD_HOST || "127.0.0.1";
+const CLAMD_PORT = parseInt(process.env.CLAMD_PORT, 10) || 3310;
+const CLAMD_TIMEOUT_MS = parseInt(process.env.CLAMD_TIMEOUT_MS, 10) || 60000;
+
+// clamd answers INSTREAM with "stream: OK" or "stream: <name> FOUND"
+const parseReply = (reply) => {
+  const line = reply.replace(/\0/g, "").trim();
+  if (line === "stream: OK") {
+    return { clean: true, threat: null };
+  }
+  const found = /^stream: (.+) FOUND$/.exec(line);
+  if (found) {
+    return { clean: false, threat: found[1] };
+  }
+  throw new Error(`clamd: ${line || "no reply"}`);
+};
+
+const createScanner = () => {
+  const connect = () =>
+    CLAMD_SOCKET
+      ? net.createConnection(CLAMD_SOCKET)
+      : net.createConnection(CLAMD_PORT, CLAMD_HOST);
+
+  return {
+    name: "clamd",
+
+    // The file goes to clamd as length-prefixed chunks, ended by an empty one
+    scan(stream) {
+      return new Promise((resolve, reject) => {
+        const socket = connect();
+        let reply = "";
+        let settled = false;
+
+        const finish = (error, result) => {
+          if (settled) return;
+          settled = true;
+          socket.destroy();
+          stream.destroy();
+          if (error) reject(error);
+          else resolve(result);
+        };
+
+        socket.setTimeout(CLAMD_TIMEOUT_MS, () =>
+          finish(new Error("clamd did not answer in time"))
+        );
+        socket.on("error", (error) => finish(error));
+        socket.on("data", (chunk) => {
+          reply += chunk.toString();
+        });
+        socket.on("end", () => {
+          try {
+            finish(null, parseReply(reply));
+          } catch (error) {
+            finish(error);
+          }
+        });
+
+        socket.on("connect", async () => {
+          try {
+            socket.write("zINSTREAM\0");
+            for await (const chunk of stream) {
+              const length = Buffer.alloc(4);
+              length.writeUInt32BE(chunk.length);
+              if (!socket.write(Buffer.concat([length, chunk]))) {
+                await once(socket, "drain");
+              }
+            }
+            socket.write(Buffer.alloc(4));
+          } catch (error) {
+            finish(error);
+          }
+        });
+      });
+    },
+  };
+};
+
+module.exports = { createScanner };
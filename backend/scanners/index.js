@@ -0,0 +1,40 @@
+/**
+ * Malware scanners for offline file sharing.
+ *
+ * Every scanner exposes the same interface:
+ *   name                 -> scanner name recorded with each result
+ *   scan(stream)         -> { clean, threat } once the stream is read,
+ *                           rejecting when no verdict could be reached
+ *
+ * A rejected scan leaves the message pending so delivery retries it.
+ */
+const SCANNERS = {
+  clamd: () => require("./clamd"),
+  stub: () => require("./stub"),
+};
+
+const DEFAULT_SCANNER = process.env.MALWARE_SCANNER || "clamd";
+
+const instances = new Map();
+
+/**
+ * Get a scanner by name, creating it on first use. Without a name the
+ * scanner configured by MALWARE_SCANNER is returned.
+ */
+const getScanner = (name = DEFAULT_SCANNER) => {
+  if (!SCANNERS[name]) {
+    throw new Error(`Unknown malware scanner: ${name}`);
+  }
+  if (!instances.has(name)) {
+    const { createScanner } = SCANNERS[name]();
+    instances.set(name, createScanner());
+    console.log(`🛡️ Malware scanner ready: ${name}`);
+  }
+  return instances.get(name);
+};
+
+module.exports = {
+  getScanner,
+  DEFAULT_SCANNER,
+  MALWARE_SCANNERS: Object.keys(SCANNERS),
+};
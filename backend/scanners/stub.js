@@ -0,0 +1,24 @@
+// Local scanner for development and tests: flags the EICAR test file
+// anywhere in the content and passes everything else
+const EICAR =
+  "X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*";
+
+const createScanner = () => ({
+  name: "stub",
+
+  async scan(stream) {
+    // Carry the end of each chunk over so a match split across two is found
+    let tail = Buffer.alloc(0);
+    for await (const chunk of stream) {
+      const window = Buffer.concat([tail, chunk]);
+      if (window.includes(EICAR)) {
+        stream.destroy();
+        return { clean: false, threat: "Eicar-Test-Signature" };
+      }
+      tail = window.subarray(-(EICAR.length - 1));
+    }
+    return { clean: true, threat: null };
+  },
+});
+
+module.exports = { createScanner };
@@ -0,0 +1,36 @@
+// Grant (or with --revoke, remove) the admin role: node scripts/promoteAdmin.js <email>
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const User = require("../models/Users");
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const revoke = args.includes("--revoke");
+  const email = args.find((arg) => !arg.startsWith("--"));
+
+  if (!email) {
+    console.error("Usage: node scripts/promoteAdmin.js <email> [--revoke]");
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  const user = await User.findOneAndUpdate(
+    { email },
+    { role: revoke ? "user" : "admin" },
+    { new: true }
+  );
+
+  if (!user) {
+    console.error(`❌ No user with email ${email}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`✅ ${user.username} now has the ${user.role} role`);
+  }
+  await mongoose.disconnect();
+};
+
+main().catch((error) => {
+  console.error("❌ Failed to update role:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,22 @@
+// Print what the retention policy would remove (or with --apply, remove it):
+// node scripts/retention.js [--apply]
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const { runRetention } = require("../Retention");
+
+const main = async () => {
+  const apply = process.argv.slice(2).includes("--apply");
+
+  await mongoose.connect(process.env.MONGO_URI);
+  const report = await runRetention({ dryRun: !apply, trigger: "admin" });
+  console.log(JSON.stringify(report, null, 2));
+
+  if (report.errors.length) process.exitCode = 1;
+  await mongoose.disconnect();
+};
+
+main().catch((error) => {
+  console.error("❌ Failed to apply retention:", error.message);
+  process.exit(1);
+});
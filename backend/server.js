@@ -1,5 +1,7 @@
 require("dotenv").config();
 
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
 const express = require("express");
 const mongoose = require("mongoose");
 const cors = require("cors");
@@ -7,15 +9,105 @@ const bodyParser = require("body-parser");
 const Redis = require("ioredis");
 const nodemailer = require("nodemailer");
 const {
-  startPolling,
-  pollMessageQueue,
-  POLLING_INTERVAL,
-} = require("./Polling"); // Import polling logic and constants
-const FormData = require("form-data");
-const fs = require("fs");
-const axios = require("axios");
-const multer = require("multer");
-const path = require("path");
+  startDelivery,
+  scheduleDelivery,
+  getDeliveryQueue,
+  RECONCILE_INTERVAL,
+} = require("./Polling"); // Import delivery jobs and constants
+const {
+  startRetention,
+  runRetention,
+  releaseContent,
+  RemovalReason,
+} = require("./Retention");
+const {
+  addSocket,
+  removeSocket,
+  notifyMessageStatus,
+} = require("./Notifications");
+const { hashPassword, verifyPassword } = require("./utils/password");
+const {
+  issueAccessToken,
+  issueChallengeToken,
+  verifyChallengeToken,
+  TOKEN_EXPIRES_IN,
+} = require("./utils/tokens");
+const {
+  requireAuth,
+  requireAdmin,
+  authenticateSocket,
+} = require("./middleware/auth");
+const {
+  issueRegistrationTicket,
+  isRegistrationTicketValid,
+  consumeRegistrationTicket,
+  TICKET_TTL_SECONDS,
+} = require("./utils/registrationTickets");
+const {
+  createOtp,
+  verifyOtp,
+  discardOtp,
+  redactEmail,
+  OtpErrorCode,
+  OTP_LENGTH,
+  OTP_TTL_SECONDS,
+  OTP_EMAIL_COOLDOWN_SECONDS,
+} = require("./utils/otp");
+const {
+  beginLoginAttempt,
+  releaseLoginAttempt,
+  recordLoginFailure,
+  clearLoginFailures,
+  LoginErrorCode,
+} = require("./utils/loginThrottle");
+const {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+} = require("./utils/totp");
+const { consumeRateLimit } = require("./utils/rateLimit");
+const {
+  normalizePublicKey,
+  keyThumbprint,
+  verifyManifest,
+  MAX_DEVICE_KEYS,
+} = require("./utils/publicKeys");
+const { getStorageProvider } = require("./storage");
+const {
+  getUsage,
+  checkQuota,
+  reserveQuota,
+  releaseQuota,
+  QuotaErrorCode,
+} = require("./utils/quotas");
+const {
+  reuseContent,
+  acquireContent,
+  releaseStoredContent,
+} = require("./utils/storedContent");
+const {
+  receiveUpload,
+  uploadError,
+  typeMismatch,
+} = require("./utils/streamUpload");
+const {
+  isVerifiableType,
+  isTypeCompatible,
+  SIGNATURE_TABLE,
+} = require("./utils/fileSignatures");
+const {
+  createUploadSession,
+  getUploadSession,
+  appendUploadChunk,
+  finalizeUpload,
+  discardUpload,
+  sweepStaleUploads,
+  UploadErrorCode,
+  UPLOAD_CHUNK_SIZE,
+  UPLOAD_SESSION_TTL_SECONDS,
+} = require("./utils/resumableUploads");
+const { policyFor, isTypeAllowed, sizeLimit } = require("./utils/filePolicy");
 
 const app = express();
 app.use(express.json());
@@ -26,64 +118,9 @@ const PORT = process.env.PORT || 5000;
 const MONGO_URI = process.env.MONGO_URI;
 const REDIS_URL = process.env.REDIS_URL;
 
-// Configure multer storage for file uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const uploadDir = path.join(__dirname, "uploads");
-    // Ensure the directory exists
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    // Create a unique filename with original name
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    const fileExt = path.extname(file.originalname);
-    cb(null, file.fieldname + "-" + uniqueSuffix + fileExt);
-  },
-});
-
-// File filter function
-const fileFilter = (req, file, cb) => {
-  // List of allowed MIME types
-  const allowedTypes = [
-    // Documents
-    "application/pdf",
-    "application/msword",
-    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
-    "text/plain",
-    // Images
-    "image/jpeg",
-    "image/png",
-    "image/gif",
-    // Audio
-    "audio/mpeg",
-    "audio/wav",
-    // Video
-    "video/mp4",
-    "video/x-matroska",
-    // Archives
-    "application/zip",
-    "application/x-rar-compressed",
-    "application/x-7z-compressed",
-  ];
-
-  if (allowedTypes.includes(file.mimetype)) {
-    cb(null, true);
-  } else {
-    cb(new Error("File type not allowed"), false);
-  }
-};
-
-// Configure multer upload
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 100 * 1024 * 1024, // 100MB file size limit
-  },
-  fileFilter: fileFilter,
-});
+// End-to-end encrypted files are stored as opaque bytes; the client
+// declares the original type separately
+const ENCRYPTED_CONTENT_TYPE = "application/octet-stream";
 
 // Connect to MongoDB Atlas
 mongoose
@@ -116,6 +153,7 @@ try {
 const User = require("./models/Users");
 const MessageQueue = require("./models/MessageQueue");
 const OnlineUsers = require("./models/OnlineUsers");
+const StorageRemoval = require("./models/StorageRemoval");
 
 // Validate email function
 function isValidEmail(email) {
@@ -146,11 +184,73 @@ transporter
     });
   });
 
+// Email a one-time code using the shared transporter
+const sendOtpEmail = async ({
+  to,
+  otp,
+  subject = "Your OTP Code for P2P File Sharing App",
+  heading = "Verification Code",
+  intro = "Your verification code for P2P File Sharing App is:",
+}) => {
+  const expiryMinutes = Math.ceil(OTP_TTL_SECONDS / 60);
+  const mailOptions = {
+    from: process.env.EMAIL_FROM, // Must be a verified sender in SendGrid
+    to,
+    subject,
+    text: `${intro} ${otp}. It expires in ${expiryMinutes} minutes.`,
+    html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
+          <h2 style="color: #4a4a4a;">${heading}</h2>
+          <p style="font-size: 16px; color: #666;">${intro}</p>
+          <div style="background-color: #f5f5f5; padding: 15px; border-radius: 4px; text-align: center; margin: 20px 0;">
+            <span style="font-size: 24px; font-weight: bold; letter-spacing: 5px;">${otp}</span>
+          </div>
+          <p style="font-size: 14px; color: #888;">This code will expire in ${expiryMinutes} minutes.</p>
+        </div>
+      `,
+  };
+
+  console.log("📧 Attempting to send email with options:", {
+    from: mailOptions.from,
+    to: redactEmail(mailOptions.to),
+    subject: mailOptions.subject,
+  });
+
+  return transporter.sendMail(mailOptions);
+};
+
+// Message shown for each OTP failure code
+const OTP_ERROR_MESSAGES = {
+  [OtpErrorCode.COOLDOWN]: "Please wait before requesting another code",
+  [OtpErrorCode.EXPIRED]: "OTP expired or invalid",
+  [OtpErrorCode.INVALID]: "Invalid OTP",
+  [OtpErrorCode.ATTEMPTS_EXCEEDED]:
+    "Too many incorrect attempts. Please request a new code",
+};
+
+// Send an OTP failure with its machine-readable code
+const sendOtpError = (res, result) => {
+  if (result.code === OtpErrorCode.COOLDOWN) {
+    res.set("Retry-After", String(result.retryAfter));
+    return res.status(429).json({
+      error: OTP_ERROR_MESSAGES[result.code],
+      code: result.code,
+      retryAfter: result.retryAfter,
+    });
+  }
+
+  return res.status(400).json({
+    error: OTP_ERROR_MESSAGES[result.code],
+    code: result.code,
+    attemptsRemaining: result.attemptsRemaining,
+  });
+};
+
 // Step 1: Generate & Send OTP with improved error handling and logging
 app.post("/send-otp", async (req, res) => {
   try {
     const { email } = req.body;
-    console.log(`⚡ Request to send OTP to: ${email}`);
+    console.log(`⚡ Request to send OTP to: ${redactEmail(email || "")}`);
 
     // Improved validation
     if (!email) {
@@ -161,14 +261,14 @@ app.post("/send-otp", async (req, res) => {
       return res.status(400).json({ error: "Invalid email format" });
     }
 
-    // Generate 6-digit OTP
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    console.log(`🔢 Generated OTP: ${otp} for ${email}`);
-
-    // Store OTP in Redis (expires in 5 minutes)
+    // Generate and store the OTP, subject to resend cooldowns
+    let result;
     try {
-      await redis.setex(email, 300, otp);
-      console.log(`✅ OTP stored in Redis for ${email}`);
+      result = await createOtp(redis, {
+        purpose: "register",
+        email,
+        ip: req.ip,
+      });
     } catch (redisError) {
       console.error("❌ Redis error storing OTP:", redisError);
       return res
@@ -176,36 +276,30 @@ app.post("/send-otp", async (req, res) => {
         .json({ error: "Failed to generate OTP, please try again" });
     }
 
-    // UPDATED: Send OTP email with better debugging
-    const mailOptions = {
-      from: process.env.EMAIL_FROM, // Must be a verified sender in SendGrid
-      to: email,
-      subject: "Your OTP Code for P2P File Sharing App",
-      text: `Your OTP code is: ${otp}. It expires in 5 minutes.`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
-          <h2 style="color: #4a4a4a;">Verification Code</h2>
-          <p style="font-size: 16px; color: #666;">Your verification code for P2P File Sharing App is:</p>
-          <div style="background-color: #f5f5f5; padding: 15px; border-radius: 4px; text-align: center; margin: 20px 0;">
-            <span style="font-size: 24px; font-weight: bold; letter-spacing: 5px;">${otp}</span>
-          </div>
-          <p style="font-size: 14px; color: #888;">This code will expire in 5 minutes.</p>
-        </div>
-      `,
-    };
+    if (!result.ok) {
+      console.log(
+        `⏳ OTP resend for ${redactEmail(email)} blocked for ${
+          result.retryAfter
+        }s`
+      );
+      return sendOtpError(res, result);
+    }
 
-    console.log("📧 Attempting to send email with options:", {
-      from: mailOptions.from,
-      to: mailOptions.to,
-      subject: mailOptions.subject,
-    });
+    console.log(`✅ OTP stored in Redis for ${redactEmail(email)}`);
 
     try {
-      const info = await transporter.sendMail(mailOptions);
+      const info = await sendOtpEmail({ to: email, otp: result.otp });
       console.log(
-        `✅ OTP email sent to ${email}. Message ID: ${info.messageId}`
+        `✅ OTP email sent to ${redactEmail(email)}. Message ID: ${
+          info.messageId
+        }`
       );
-      res.json({ message: "OTP sent successfully" });
+      res.json({
+        message: "OTP sent successfully",
+        otpLength: OTP_LENGTH,
+        expiresIn: OTP_TTL_SECONDS,
+        resendAvailableIn: OTP_EMAIL_COOLDOWN_SECONDS,
+      });
     } catch (emailError) {
       console.error("❌ Error sending email:", emailError);
       console.error(
@@ -214,7 +308,7 @@ app.post("/send-otp", async (req, res) => {
       );
 
       // Clean up Redis if email fails
-      await redis.del(email);
+      await discardOtp(redis, { purpose: "register", email });
 
       return res.status(500).json({
         error:
@@ -231,13 +325,11 @@ app.post("/send-otp", async (req, res) => {
   }
 });
 
-// Rest of your code remains the same...
-
 // Step 2: Verify OTP with improved error handling
 app.post("/verify-otp", async (req, res) => {
   try {
     const { email, otp } = req.body;
-    console.log(`⚡ Request to verify OTP: ${otp} for ${email}`);
+    console.log(`⚡ Request to verify OTP for ${redactEmail(email || "")}`);
 
     if (!email || !otp) {
       return res.status(400).json({ error: "Email and OTP are required" });
@@ -247,37 +339,40 @@ app.post("/verify-otp", async (req, res) => {
       return res.status(400).json({ error: "Invalid email format" });
     }
 
-    // Retrieve OTP from Redis with improved error handling
-    let storedOtp;
+    // Check the code against Redis, counting failed attempts
+    let result;
     try {
-      storedOtp = await redis.get(email);
-      console.log(`🔍 Retrieved stored OTP for ${email}: ${storedOtp}`);
+      result = await verifyOtp(redis, { purpose: "register", email, otp });
     } catch (redisError) {
-      console.error("❌ Redis error retrieving OTP:", redisError);
+      console.error("❌ Redis error verifying OTP:", redisError);
       return res
         .status(500)
         .json({ error: "Failed to verify OTP, please try again" });
     }
 
-    if (!storedOtp) {
-      return res.status(400).json({ error: "OTP expired or invalid" });
+    if (!result.ok) {
+      console.log(`❌ OTP rejected for ${redactEmail(email)}: ${result.code}`);
+      return sendOtpError(res, result);
     }
 
-    if (storedOtp !== otp) {
-      console.log(`❌ OTP mismatch: provided ${otp}, stored ${storedOtp}`);
-      return res.status(400).json({ error: "Invalid OTP" });
-    }
+    console.log(`✅ OTP verified and deleted for ${redactEmail(email)}`);
 
-    // OTP verified, delete from Redis
+    // Hand out a single-use ticket that /register must present
+    let registrationTicket;
     try {
-      await redis.del(email);
-      console.log(`✅ OTP verified and deleted for ${email}`);
+      registrationTicket = await issueRegistrationTicket(redis, email);
     } catch (redisError) {
-      console.error("❌ Redis error deleting OTP:", redisError);
-      // Non-critical error, continue with verification
+      console.error("❌ Redis error issuing registration ticket:", redisError);
+      return res
+        .status(500)
+        .json({ error: "Failed to verify OTP, please try again" });
     }
 
-    res.json({ message: "OTP verified successfully" });
+    res.json({
+      message: "OTP verified successfully",
+      registrationTicket,
+      ticketExpiresIn: TICKET_TTL_SECONDS,
+    });
   } catch (error) {
     console.error("❌ Error in verify-otp endpoint:", error);
     res.status(500).json({ error: "Internal Server Error" });
@@ -287,7 +382,7 @@ app.post("/verify-otp", async (req, res) => {
 // API Endpoint: Register User
 app.post("/register", async (req, res) => {
   try {
-    const { username, email, password } = req.body;
+    const { username, email, password, registrationTicket } = req.body;
     console.log("📝 Registration request received:", { username, email });
 
     // Validation
@@ -307,6 +402,15 @@ app.post("/register", async (req, res) => {
       });
     }
 
+    // The email must have passed OTP verification
+    if (!(await isRegistrationTicketValid(redis, registrationTicket, email))) {
+      console.log("❌ Missing or invalid registration ticket");
+      return res.status(403).json({
+        success: false,
+        error: "Email not verified. Please verify your email first",
+      });
+    }
+
     try {
       // Check existing users
       console.log("🔍 Checking for existing users...");
@@ -335,12 +439,26 @@ app.post("/register", async (req, res) => {
       const peerId = `peer-${Math.random().toString(36).substring(2, 15)}`;
       console.log("✅ Generated Peer ID:", peerId);
 
-      // Create and save user
+      // Burn the ticket right before creating the account
+      if (
+        !(await consumeRegistrationTicket(redis, registrationTicket, email))
+      ) {
+        console.log("❌ Registration ticket already used");
+        return res.status(403).json({
+          success: false,
+          error: "Email not verified. Please verify your email first",
+        });
+      }
+
+      // Create and save user with a salted password hash
+      const passwordHash = await hashPassword(password);
       const newUser = new User({
         username,
         email,
-        password,
+        password: passwordHash,
         peerId,
+        peerIdHistory: [{ peerId, assignedAt: new Date() }],
+        emailVerified: new Date(),
       });
 
       console.log("💾 Saving to database...");
@@ -360,6 +478,8 @@ app.post("/register", async (req, res) => {
         username: savedUser.username,
         email: savedUser.email,
         peerId: savedUser.peerId,
+        token: issueAccessToken(savedUser),
+        expiresIn: TOKEN_EXPIRES_IN,
       });
     } catch (dbError) {
       console.error("❌ Database operation failed:", dbError);
@@ -379,6 +499,105 @@ app.post("/register", async (req, res) => {
   }
 });
 
+// Refuse a login for an account an admin has disabled
+const sendAccountDisabled = (res) =>
+  res.status(403).json({
+    error: "This account has been disabled",
+    code: "ACCOUNT_DISABLED",
+  });
+
+// Finish a successful login: reset the throttle, mark online, issue a session
+const completeLogin = async (req, res, user) => {
+  await clearLoginFailures(redis, { email: user.email });
+
+  // Mark user as online immediately
+  await OnlineUsers.markOnline({
+    peerId: user.peerId,
+    username: user.username,
+    email: user.email,
+  });
+  console.log(`🟢 User ${user.username} marked as online after login`);
+
+  res.json({
+    success: true,
+    message: "Login successful",
+    username: user.username,
+    email: user.email,
+    peerId: user.peerId,
+    token: issueAccessToken(user),
+    expiresIn: TOKEN_EXPIRES_IN,
+  });
+};
+
+/**
+ * Check a TOTP code or an unused recovery code for a 2FA user.
+ * Updates the replay guard or removes the recovery code on success;
+ * the caller is responsible for saving the user.
+ */
+const checkSecondFactor = async (user, code) => {
+  const submitted = String(code).trim();
+
+  if (/^\d+$/.test(submitted)) {
+    const step = verifyTotp(
+      user.twoFactor.secret,
+      submitted,
+      user.twoFactor.lastUsedStep
+    );
+    if (step === null) return false;
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  for (const [index, hash] of user.twoFactor.recoveryCodes.entries()) {
+    const { match } = await verifyPassword(submitted.toLowerCase(), hash);
+    if (match) {
+      user.twoFactor.recoveryCodes.splice(index, 1);
+      console.log(
+        `⚠️ Recovery code used by ${user.username}, ${user.twoFactor.recoveryCodes.length} left`
+      );
+      return true;
+    }
+  }
+  return false;
+};
+
+// Reply to a login refused by the throttle
+const sendLoginThrottled = (res, result) => {
+  if (result.code === LoginErrorCode.LOCKED) {
+    return res.status(423).json({
+      error: "Account temporarily locked after too many failed logins",
+      code: result.code,
+      lockedUntil: result.lockedUntil.toISOString(),
+    });
+  }
+
+  res.set("Retry-After", String(result.retryAfter));
+  return res.status(429).json({
+    error: "Too many login attempts. Please wait before trying again",
+    code: result.code,
+    retryAfter: result.retryAfter,
+  });
+};
+
+// Let the account owner know someone is guessing their password
+const sendLockoutEmail = (user, lockedUntil) =>
+  transporter.sendMail({
+    from: process.env.EMAIL_FROM,
+    to: user.email,
+    subject: "Your P2P File Sharing App account was locked",
+    text: `We locked your account after several failed login attempts. You can try again after ${lockedUntil.toUTCString()}. If this wasn't you, consider resetting your password.`,
+    html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 5px;">
+          <h2 style="color: #4a4a4a;">Account Temporarily Locked</h2>
+          <p style="font-size: 16px; color: #666;">Hi ${
+            user.username
+          }, we locked your account after several failed login attempts.</p>
+          <p style="font-size: 16px; color: #666;">You can try again after <strong>${lockedUntil.toUTCString()}</strong>.</p>
+          <p style="font-size: 14px; color: #888;">If this wasn't you, consider resetting your password.</p>
+        </div>
+      `,
+  });
+
 // API Endpoint: User Login
 app.post("/login", async (req, res) => {
   try {
@@ -392,44 +611,269 @@ app.post("/login", async (req, res) => {
       return res.status(400).json({ error: "Invalid email format" });
     }
 
+    // Refuse locked accounts and clients that are retrying too fast. The
+    // attempt counts as a failure until the password is proven.
+    const throttle = await beginLoginAttempt(redis, { email, ip: req.ip });
+    if (!throttle.ok) {
+      return sendLoginThrottled(res, throttle);
+    }
+
     const user = await User.findOne({ email });
-    if (!user || user.password !== password) {
+    const { match, needsRehash } = user
+      ? await verifyPassword(password, user.password)
+      : { match: false, needsRehash: false };
+
+    if (!match) {
+      const failure = await recordLoginFailure(redis, { email, ip: req.ip });
+      if (failure.locked) {
+        console.log(`🔒 Locked ${redactEmail(email)} after repeated failures`);
+        if (user) {
+          sendLockoutEmail(user, failure.lockedUntil).catch((emailError) =>
+            console.error("❌ Error sending lockout email:", emailError)
+          );
+        }
+        return sendLoginThrottled(res, {
+          code: LoginErrorCode.LOCKED,
+          lockedUntil: failure.lockedUntil,
+        });
+      }
+
+      return res.status(400).json({
+        error: "Invalid credentials no user found",
+        retryAfter: failure.retryAfter,
+      });
+    }
+    await releaseLoginAttempt(redis, {
+      email,
+      ip: req.ip,
+      attempt: throttle.attempt,
+    });
+
+    // Only reveal the account is disabled once the password is proven
+    if (user.disabledAt) {
+      console.log(`⛔ Login refused for disabled account ${user.username}`);
+      return sendAccountDisabled(res);
+    }
+
+    // Upgrade legacy plaintext passwords to a hash on successful login
+    if (needsRehash) {
+      user.password = await hashPassword(password);
+      await user.save();
+      console.log(`🔐 Upgraded stored password hash for ${user.username}`);
+    }
+
+    // Accounts with 2FA must pass a second step before getting a session
+    if (user.twoFactor?.enabled) {
+      console.log(`🔑 Two-factor code required for ${user.username}`);
+      return res.json({
+        success: false,
+        twoFactorRequired: true,
+        challengeToken: issueChallengeToken(user),
+      });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error("❌ Error logging in:", error.message);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// Login step 2 for 2FA accounts: exchange the challenge and a code for a session
+app.post("/login/2fa", async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
       return res
         .status(400)
-        .json({ error: "Invalid credentials no user found" });
+        .json({ error: "Challenge token and code are required" });
     }
 
-    // Mark user as online immediately
-    await OnlineUsers.markOnline({
-      peerId: user.peerId,
-      username: user.username,
+    let challenge;
+    try {
+      challenge = verifyChallengeToken(challengeToken);
+    } catch (error) {
+      return res
+        .status(401)
+        .json({ error: "Login challenge expired. Please log in again" });
+    }
+
+    const user = await User.findById(challenge.sub);
+    if (!user || !user.twoFactor?.enabled) {
+      return res
+        .status(401)
+        .json({ error: "Login challenge expired. Please log in again" });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const throttle = await beginLoginAttempt(redis, {
       email: user.email,
+      ip: req.ip,
     });
-    console.log(`🟢 User ${user.username} marked as online after login`);
+    if (!throttle.ok) {
+      return sendLoginThrottled(res, throttle);
+    }
 
-    res.json({
-      success: true,
-      message: "Login successful",
-      username: user.username,
+    if (!(await checkSecondFactor(user, code))) {
+      const failure = await recordLoginFailure(redis, {
+        email: user.email,
+        ip: req.ip,
+      });
+      if (failure.locked) {
+        sendLockoutEmail(user, failure.lockedUntil).catch((emailError) =>
+          console.error("❌ Error sending lockout email:", emailError)
+        );
+        return sendLoginThrottled(res, {
+          code: LoginErrorCode.LOCKED,
+          lockedUntil: failure.lockedUntil,
+        });
+      }
+      return res.status(400).json({
+        error: "Invalid authentication code",
+        retryAfter: failure.retryAfter,
+      });
+    }
+    await releaseLoginAttempt(redis, {
       email: user.email,
-      peerId: user.peerId,
+      ip: req.ip,
+      attempt: throttle.attempt,
     });
+
+    if (user.disabledAt) {
+      return sendAccountDisabled(res);
+    }
+
+    await user.save();
+    await completeLogin(req, res, user);
   } catch (error) {
-    console.error("❌ Error logging in:", error.message);
+    console.error("❌ Error in login/2fa endpoint:", error.message);
     res.status(500).json({ error: "Internal Server Error" });
   }
 });
 
-// Add this endpoint to your server.js
-app.post("/verify-user", async (req, res) => {
+const MIN_PASSWORD_LENGTH = 6;
+
+// Password recovery, step 1: email a reset code to the account owner
+app.post("/password/forgot", async (req, res) => {
   try {
     const { email } = req.body;
+    console.log(`⚡ Password reset requested for ${redactEmail(email || "")}`);
+
+    if (!email || !isValidEmail(email)) {
+      return res.status(400).json({ error: "Invalid email format" });
+    }
+
+    let result;
+    try {
+      result = await createOtp(redis, {
+        purpose: "password-reset",
+        email,
+        ip: req.ip,
+      });
+    } catch (redisError) {
+      console.error("❌ Redis error storing reset OTP:", redisError);
+      return res
+        .status(500)
+        .json({ error: "Failed to generate OTP, please try again" });
+    }
+
+    if (!result.ok) {
+      return sendOtpError(res, result);
+    }
+
+    // Same response whether or not the account exists, so emails
+    // cannot be probed through this endpoint
     const user = await User.findOne({ email });
+    if (user) {
+      try {
+        await sendOtpEmail({
+          to: email,
+          otp: result.otp,
+          subject: "Reset your P2P File Sharing App password",
+          heading: "Password Reset Code",
+          intro: "Use this code to reset your P2P File Sharing App password:",
+        });
+        console.log(`✅ Password reset code sent to ${redactEmail(email)}`);
+      } catch (emailError) {
+        console.error("❌ Error sending reset email:", emailError);
+        await discardOtp(redis, { purpose: "password-reset", email });
+        return res.status(500).json({
+          error:
+            "Failed to send reset email. Please check your email address or try again later.",
+        });
+      }
+    } else {
+      console.log(`ℹ️ Password reset for unknown ${redactEmail(email)}`);
+    }
+
+    res.json({
+      message: "If that email is registered, a reset code has been sent",
+      otpLength: OTP_LENGTH,
+      expiresIn: OTP_TTL_SECONDS,
+      resendAvailableIn: OTP_EMAIL_COOLDOWN_SECONDS,
+    });
+  } catch (error) {
+    console.error("❌ Error in password/forgot endpoint:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// Password recovery, step 2: check the code and set the new password
+app.post("/password/reset", async (req, res) => {
+  try {
+    const { email, otp, newPassword } = req.body;
+
+    if (!email || !otp || !newPassword) {
+      return res
+        .status(400)
+        .json({ error: "Email, OTP and new password are required" });
+    }
+
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
+
+    const result = await verifyOtp(redis, {
+      purpose: "password-reset",
+      email,
+      otp,
+    });
+    if (!result.ok) {
+      console.log(
+        `❌ Reset OTP rejected for ${redactEmail(email)}: ${result.code}`
+      );
+      return sendOtpError(res, result);
+    }
 
+    const user = await User.findOne({ email });
     if (!user) {
-      return res.status(404).json({ error: "User not found" });
+      return sendOtpError(res, { code: OtpErrorCode.EXPIRED });
     }
 
+    // Bumping the token version signs out every existing session
+    user.password = await hashPassword(newPassword);
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    await user.save();
+    console.log(`🔐 Password reset for ${user.username}`);
+
+    res.json({
+      success: true,
+      message: "Password reset successfully. Please log in again.",
+    });
+  } catch (error) {
+    console.error("❌ Error in password/reset endpoint:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// Return the peer details of the authenticated user
+app.post("/verify-user", requireAuth, async (req, res) => {
+  try {
+    const user = req.user;
+
     res.json({
       peerId: user.peerId,
       username: user.username,
@@ -441,7 +885,7 @@ app.post("/verify-user", async (req, res) => {
 });
 
 // Add this endpoint to check user status
-app.post("/check-user-status", async (req, res) => {
+app.post("/check-user-status", requireAuth, async (req, res) => {
   try {
     const { peerId } = req.body;
 
@@ -454,11 +898,11 @@ app.post("/check-user-status", async (req, res) => {
       });
     }
 
-    // Return user data
+    // Return user data (email is only visible to its owner)
     res.json({
       found: true,
       username: user.username,
-      email: user.email,
+      email: user.peerId === req.user.peerId ? user.email : undefined,
       peerId: user.peerId,
     });
   } catch (error) {
@@ -468,14 +912,10 @@ app.post("/check-user-status", async (req, res) => {
 });
 
 // Add this endpoint to verify peer ID consistency
-app.post("/verify-peer-id", async (req, res) => {
+app.post("/verify-peer-id", requireAuth, async (req, res) => {
   try {
-    const { email, peerId } = req.body;
-    const user = await User.findOne({ email });
-
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
-    }
+    const { peerId } = req.body;
+    const user = req.user;
 
     const isMatch = user.peerId === peerId;
     res.json({
@@ -501,44 +941,1055 @@ app.get("/health", (req, res) => {
   });
 });
 
-// API Endpoint: Get User Status
-app.get("/api/user/status/:peerId", async (req, res) => {
-  try {
-    const { peerId } = req.params;
-    console.log(`📊 Checking status for peer: ${peerId}`);
-
-    // First check if user exists in database
-    const user = await User.findOne({ peerId });
-    if (!user) {
-      console.log(`❌ User not found with peerId: ${peerId}`);
-      return res.status(404).json({ error: "User not found" });
+// sendBeacon posts its JSON payload as text/plain, so parse it here
+const parseBeaconBody = [
+  express.text({ type: "text/plain" }),
+  (req, res, next) => {
+    if (typeof req.body === "string") {
+      try {
+        req.body = JSON.parse(req.body);
+      } catch (error) {
+        req.body = {};
+      }
     }
-    console.log(`✅ User found: ${user.username}`);
+    next();
+  },
+];
 
-    // Check online status from OnlineUsers collection
-    const onlineUser = await OnlineUsers.findOne({ peerId });
-    console.log(
-      `🔍 OnlineUser record:`,
-      onlineUser
-        ? {
-            status: onlineUser.status,
-            lastSeen: onlineUser.lastSeen,
-          }
-        : "No record found"
-    );
+app.use("/api/user/mark-offline", parseBeaconBody);
 
-    // Calculate how recently the user was last seen
-    const timeThreshold = new Date(Date.now() - 2 * 60 * 1000); // 2 minutes ago
-    const isOnline =
-      onlineUser?.status === "online" && onlineUser.lastSeen > timeThreshold;
+// Every /api route requires an authenticated session
+app.use("/api", requireAuth);
 
-    console.log(`⏱️ Time threshold: ${timeThreshold.toISOString()}`);
-    console.log(`🟢 Is user online? ${isOnline}`);
+// API Endpoint: Change password for the logged-in user
+app.post("/api/password/change", async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = req.user;
 
-    return res.json({
-      online: isOnline,
-      lastSeen: onlineUser?.lastSeen || null,
-      username: user.username,
+    if (!currentPassword || !newPassword) {
+      return res
+        .status(400)
+        .json({ error: "Current and new password are required" });
+    }
+
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
+
+    const { match } = await verifyPassword(currentPassword, user.password);
+    if (!match) {
+      return res.status(400).json({ error: "Current password is incorrect" });
+    }
+
+    // Sign out other sessions and hand this one a fresh token
+    user.password = await hashPassword(newPassword);
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    await user.save();
+    console.log(`🔐 Password changed for ${user.username}`);
+
+    res.json({
+      success: true,
+      message: "Password changed successfully",
+      token: issueAccessToken(user),
+      expiresIn: TOKEN_EXPIRES_IN,
+    });
+  } catch (error) {
+    console.error("❌ Error changing password:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// API Endpoint: Two-factor status for the logged-in user
+app.get("/api/2fa/status", async (req, res) => {
+  const { twoFactor } = req.user;
+  res.json({
+    enabled: !!twoFactor?.enabled,
+    enabledAt: twoFactor?.enabledAt || null,
+    recoveryCodesRemaining: twoFactor?.recoveryCodes?.length || 0,
+  });
+});
+
+// API Endpoint: Start 2FA enrollment by generating a pending secret
+app.post("/api/2fa/enroll", async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.twoFactor?.enabled) {
+      return res
+        .status(400)
+        .json({ error: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = generateTotpSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+    console.log(`🔑 2FA enrollment started for ${user.username}`);
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email),
+    });
+  } catch (error) {
+    console.error("❌ Error starting 2FA enrollment:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// API Endpoint: Confirm enrollment with a first code and hand out recovery codes
+app.post("/api/2fa/verify", async (req, res) => {
+  try {
+    const user = req.user;
+    const { code } = req.body;
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res
+        .status(400)
+        .json({ error: "Start two-factor enrollment first" });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ error: "Invalid authentication code" });
+    }
+
+    // Recovery codes are shown once and only their hashes are stored
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor = {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      pendingSecret: null,
+      lastUsedStep: step,
+      recoveryCodes: await Promise.all(recoveryCodes.map(hashPassword)),
+      enabledAt: new Date(),
+    };
+    await user.save();
+    console.log(`✅ 2FA enabled for ${user.username}`);
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication enabled",
+      recoveryCodes,
+    });
+  } catch (error) {
+    console.error("❌ Error verifying 2FA enrollment:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// API Endpoint: Turn 2FA off (needs the password and a current code)
+app.post("/api/2fa/disable", async (req, res) => {
+  try {
+    const user = req.user;
+    const { password, code } = req.body;
+
+    if (!user.twoFactor?.enabled) {
+      return res
+        .status(400)
+        .json({ error: "Two-factor authentication is not enabled" });
+    }
+
+    if (!password || !code) {
+      return res
+        .status(400)
+        .json({ error: "Password and authentication code are required" });
+    }
+
+    const { match } = await verifyPassword(password, user.password);
+    if (!match || !(await checkSecondFactor(user, code))) {
+      return res
+        .status(400)
+        .json({ error: "Invalid password or authentication code" });
+    }
+
+    user.twoFactor = {
+      enabled: false,
+      secret: null,
+      pendingSecret: null,
+      lastUsedStep: -1,
+      recoveryCodes: [],
+      enabledAt: null,
+    };
+    await user.save();
+    console.log(`⚠️ 2FA disabled for ${user.username}`);
+
+    res.json({ success: true, message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.error("❌ Error disabling 2FA:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// Shape of the profile returned to its owner
+const serializeProfile = (user) => ({
+  username: user.username,
+  email: user.email,
+  peerId: user.peerId,
+  role: user.role,
+  emailVerified: user.emailVerified,
+  createdAt: user.createdAt,
+  twoFactorEnabled: !!user.twoFactor?.enabled,
+  peerIdHistory: user.peerIdHistory?.length
+    ? user.peerIdHistory
+    : [{ peerId: user.peerId, assignedAt: user.createdAt, retiredAt: null }],
+});
+
+// API Endpoint: Profile of the logged-in user
+app.get("/api/me", async (req, res) => {
+  res.json({ success: true, profile: serializeProfile(req.user) });
+});
+
+// API Endpoint: Update profile fields (currently the username)
+app.patch("/api/me", async (req, res) => {
+  try {
+    const user = req.user;
+    const { username } = req.body;
+
+    if (!username || !username.trim()) {
+      return res.status(400).json({ error: "Username is required" });
+    }
+
+    const newUsername = username.trim();
+    if (newUsername !== user.username) {
+      const taken = await User.findOne({ username: newUsername });
+      if (taken) {
+        return res
+          .status(400)
+          .json({ error: "Username is taken. Please use a different one" });
+      }
+
+      const oldUsername = user.username;
+      user.username = newUsername;
+      await user.save();
+
+      // Keep denormalised copies in sync
+      await Promise.all([
+        OnlineUsers.updateOne(
+          { peerId: user.peerId },
+          { username: newUsername }
+        ),
+        MessageQueue.updateMany(
+          { senderPeerId: user.peerId },
+          { senderUsername: newUsername }
+        ),
+      ]);
+      console.log(`✏️ Username changed: ${oldUsername} -> ${newUsername}`);
+    }
+
+    res.json({
+      success: true,
+      profile: serializeProfile(user),
+      // The token carries the username, so hand out a fresh one
+      token: issueAccessToken(user),
+      expiresIn: TOKEN_EXPIRES_IN,
+    });
+  } catch (error) {
+    console.error("❌ Error updating profile:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// Email-change codes are namespaced per user so they cannot be reused
+const emailChangePurpose = (user) => `email-change:${user._id}`;
+
+// API Endpoint: Email change, step 1: send a code to the new address
+app.post("/api/me/email", async (req, res) => {
+  try {
+    const user = req.user;
+    const { newEmail } = req.body;
+
+    if (!newEmail || !isValidEmail(newEmail)) {
+      return res.status(400).json({ error: "Invalid email format" });
+    }
+
+    if (await User.findOne({ email: newEmail })) {
+      return res.status(400).json({ error: "Email is already registered" });
+    }
+
+    const result = await createOtp(redis, {
+      purpose: emailChangePurpose(user),
+      email: newEmail,
+      ip: req.ip,
+    });
+    if (!result.ok) {
+      return sendOtpError(res, result);
+    }
+
+    try {
+      await sendOtpEmail({
+        to: newEmail,
+        otp: result.otp,
+        subject: "Confirm your new email for P2P File Sharing App",
+        heading: "Confirm Email Change",
+        intro: "Use this code to confirm your new email address:",
+      });
+    } catch (emailError) {
+      console.error("❌ Error sending email change code:", emailError);
+      await discardOtp(redis, {
+        purpose: emailChangePurpose(user),
+        email: newEmail,
+      });
+      return res.status(500).json({
+        error:
+          "Failed to send OTP email. Please check your email address or try again later.",
+      });
+    }
+
+    console.log(
+      `📧 Email change code sent for ${user.username} to ${redactEmail(
+        newEmail
+      )}`
+    );
+    res.json({
+      message: "OTP sent successfully",
+      otpLength: OTP_LENGTH,
+      expiresIn: OTP_TTL_SECONDS,
+      resendAvailableIn: OTP_EMAIL_COOLDOWN_SECONDS,
+    });
+  } catch (error) {
+    console.error("❌ Error starting email change:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// API Endpoint: Email change, step 2: confirm the code and switch the address
+app.post("/api/me/email/verify", async (req, res) => {
+  try {
+    const user = req.user;
+    const { newEmail, otp } = req.body;
+
+    if (!newEmail || !otp) {
+      return res.status(400).json({ error: "Email and OTP are required" });
+    }
+
+    const result = await verifyOtp(redis, {
+      purpose: emailChangePurpose(user),
+      email: newEmail,
+      otp,
+    });
+    if (!result.ok) {
+      return sendOtpError(res, result);
+    }
+
+    if (await User.findOne({ email: newEmail })) {
+      return res.status(400).json({ error: "Email is already registered" });
+    }
+
+    user.email = newEmail;
+    user.emailVerified = new Date();
+    await user.save();
+    await OnlineUsers.updateOne({ peerId: user.peerId }, { email: newEmail });
+    console.log(`✅ Email changed for ${user.username}`);
+
+    res.json({ success: true, profile: serializeProfile(user) });
+  } catch (error) {
+    console.error("❌ Error confirming email change:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// API Endpoint: Delete the account and everything queued for or by it
+app.delete("/api/me", async (req, res) => {
+  try {
+    const user = req.user;
+    const { password, code } = req.body;
+
+    const { match } = await verifyPassword(password || "", user.password);
+    if (!match) {
+      return res.status(400).json({ error: "Password is incorrect" });
+    }
+
+    if (
+      user.twoFactor?.enabled &&
+      !(await checkSecondFactor(user, code || ""))
+    ) {
+      return res.status(400).json({ error: "Invalid authentication code" });
+    }
+
+    const messages = await MessageQueue.find({
+      $or: [{ senderPeerId: user.peerId }, { receiverPeerId: user.peerId }],
+    });
+    const messageIds = messages.map((m) => m._id);
+
+    // Only delete content that no other user's message still points to,
+    // skipping content the retention policy already released
+    let deletedObjects = 0;
+    for (const message of messages.filter((m) => !m.contentRemovedAt)) {
+      try {
+        if (await releaseStoredContent(message, { excludeIds: messageIds })) {
+          deletedObjects++;
+        }
+      } catch (error) {
+        console.error(
+          `❌ Failed to delete stored file ${message.ipfsHash}:`,
+          error.message
+        );
+      }
+    }
+
+    await Promise.all([
+      MessageQueue.deleteMany({ _id: { $in: messageIds } }),
+      OnlineUsers.deleteOne({ peerId: user.peerId }),
+      User.deleteOne({ _id: user._id }),
+    ]);
+
+    console.log(
+      `🗑️ Deleted account ${user.username} with ${messageIds.length} messages and ${deletedObjects} stored files`
+    );
+    res.json({ success: true, message: "Account deleted" });
+  } catch (error) {
+    console.error("❌ Error deleting account:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// How often a user may download their data export
+const DATA_EXPORT_LIMIT = parseInt(process.env.DATA_EXPORT_LIMIT, 10) || 3;
+const DATA_EXPORT_WINDOW_SECONDS =
+  parseInt(process.env.DATA_EXPORT_WINDOW_SECONDS, 10) || 24 * 60 * 60; // 1 day
+
+// Strip Mongo internals from an exported document
+const exportDocument = (doc) => {
+  const { __v, ...rest } = doc.toObject();
+  return rest;
+};
+
+// Everything stored about a user, minus credentials and 2FA secrets
+const buildDataExport = async (user) => {
+  const [presence, sent, received] = await Promise.all([
+    OnlineUsers.findOne({ peerId: user.peerId }),
+    MessageQueue.find({ senderPeerId: user.peerId }).sort({ createdAt: 1 }),
+    MessageQueue.find({ receiverPeerId: user.peerId }).sort({ createdAt: 1 }),
+  ]);
+
+  const ipfsHashes = new Map();
+  for (const message of [...sent, ...received]) {
+    const entry = ipfsHashes.get(message.ipfsHash) || {
+      ipfsHash: message.ipfsHash,
+      storageProvider: message.storageProvider,
+      messageIds: [],
+    };
+    entry.messageIds.push(message._id);
+    ipfsHashes.set(message.ipfsHash, entry);
+  }
+
+  return {
+    exportedAt: new Date(),
+    account: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      peerId: user.peerId,
+      peerIdHistory: serializeProfile(user).peerIdHistory,
+      createdAt: user.createdAt,
+      twoFactor: {
+        enabled: !!user.twoFactor?.enabled,
+        enabledAt: user.twoFactor?.enabledAt || null,
+        recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0,
+      },
+      publicKeys: user.publicKeys,
+      signingKeys: user.signingKeys,
+    },
+    presence: presence ? exportDocument(presence) : null,
+    messages: {
+      sent: sent.map(exportDocument),
+      received: received.map(exportDocument),
+    },
+    ipfsHashes: [...ipfsHashes.values()],
+  };
+};
+
+// API Endpoint: Download a JSON archive of the user's personal data
+app.get("/api/me/export", async (req, res) => {
+  try {
+    const user = req.user;
+
+    const limit = await consumeRateLimit(redis, {
+      key: `data-export:${user._id}`,
+      limit: DATA_EXPORT_LIMIT,
+      windowSeconds: DATA_EXPORT_WINDOW_SECONDS,
+    });
+    if (!limit.ok) {
+      res.set("Retry-After", String(limit.retryAfter));
+      return res.status(429).json({
+        error: "Data export limit reached. Please try again later",
+        code: "EXPORT_RATE_LIMITED",
+        retryAfter: limit.retryAfter,
+      });
+    }
+
+    const archive = await buildDataExport(user);
+    const safeName = user.username.replace(/[^\w-]/g, "_");
+    const fileName = `blockshare-export-${safeName}-${
+      archive.exportedAt.toISOString().split("T")[0]
+    }.json`;
+
+    console.log(`📦 Data export generated for ${user.username}`);
+    res.set("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.type("application/json").send(JSON.stringify(archive, null, 2));
+  } catch (error) {
+    console.error("❌ Error exporting user data:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// API Endpoint: The file types and sizes the caller may share
+app.get("/api/policy", (req, res) => {
+  res.json({
+    success: true,
+    role: req.user.role,
+    policy: policyFor(req.user.role),
+    signatures: SIGNATURE_TABLE,
+  });
+});
+
+// API Endpoint: The caller's offline sharing usage against their quotas
+app.get("/api/me/usage", async (req, res) => {
+  try {
+    res.json({ success: true, ...(await getUsage(req.user)) });
+  } catch (error) {
+    console.error("❌ Error reading storage usage:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// Device keys. Each browser generates an ECDH key pair for end-to-end
+// encryption (publicKeys) and an ECDSA key pair for signing the files it
+// sends (signingKeys). Both are managed the same way.
+const DEVICE_KEY_KINDS = {
+  publicKeys: { description: "encryption key", algorithm: "ECDH" },
+  signingKeys: { description: "signing key", algorithm: "ECDSA" },
+};
+
+const serializePublicKey = ({ keyId, publicKey, label, createdAt }) => ({
+  keyId,
+  publicKey,
+  label,
+  createdAt,
+});
+
+const listDeviceKeys = (field) => async (req, res) => {
+  res.json({ keys: (req.user[field] || []).map(serializePublicKey) });
+};
+
+const registerDeviceKey = (field) => async (req, res) => {
+  const { description, algorithm } = DEVICE_KEY_KINDS[field];
+  try {
+    const user = req.user;
+    const publicKey = normalizePublicKey(req.body.publicKey);
+    if (!publicKey) {
+      return res
+        .status(400)
+        .json({ error: `publicKey must be an ${algorithm} P-256 public JWK` });
+    }
+
+    const keyId = keyThumbprint(publicKey);
+    if (user[field].some((key) => key.keyId === keyId)) {
+      return res.json({ keyId });
+    }
+    if (user[field].length >= MAX_DEVICE_KEYS) {
+      return res.status(400).json({
+        error: `You can register at most ${MAX_DEVICE_KEYS} devices. Remove one in Settings first`,
+        code: "TOO_MANY_KEYS",
+      });
+    }
+
+    user[field].push({
+      keyId,
+      publicKey,
+      label: String(req.body.label || "").slice(0, 100),
+    });
+    await user.save();
+    console.log(`🔐 Registered ${description} ${keyId} for ${user.username}`);
+
+    res.status(201).json({ keyId });
+  } catch (error) {
+    console.error(`❌ Error registering ${description}:`, error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+};
+
+const removeDeviceKey = (field) => async (req, res) => {
+  const { description } = DEVICE_KEY_KINDS[field];
+  try {
+    const user = req.user;
+    const before = user[field].length;
+    user[field] = user[field].filter((key) => key.keyId !== req.params.keyId);
+    if (user[field].length === before) {
+      return res.status(404).json({ error: "Key not found" });
+    }
+
+    await user.save();
+    console.log(
+      `🗑️ Removed ${description} ${req.params.keyId} for ${user.username}`
+    );
+    res.json({ success: true });
+  } catch (error) {
+    console.error(`❌ Error removing ${description}:`, error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+};
+
+// API Endpoints: the caller's encryption keys. Removing one means files
+// sent to that device can no longer be opened there.
+app.get("/api/keys", listDeviceKeys("publicKeys"));
+app.post("/api/keys", registerDeviceKey("publicKeys"));
+app.delete("/api/keys/:keyId", removeDeviceKey("publicKeys"));
+
+// API Endpoints: the caller's signing keys. Removing one means files it
+// signed no longer show as verified.
+app.get("/api/signing-keys", listDeviceKeys("signingKeys"));
+app.post("/api/signing-keys", registerDeviceKey("signingKeys"));
+app.delete("/api/signing-keys/:keyId", removeDeviceKey("signingKeys"));
+
+// API Endpoint: Public keys a sender should encrypt for, and the keys a
+// receiver checks the user's signatures with
+app.get("/api/users/:peerId/keys", async (req, res) => {
+  try {
+    const owner = await User.findOne({ peerId: req.params.peerId });
+    if (!owner) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const publicOnly = ({ keyId, publicKey }) => ({ keyId, publicKey });
+    res.json({
+      peerId: owner.peerId,
+      username: owner.username,
+      keys: owner.publicKeys.map(publicOnly),
+      signingKeys: owner.signingKeys.map(publicOnly),
+    });
+  } catch (error) {
+    console.error("❌ Error fetching public keys:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// Admin API: everything under /api/admin requires the admin role
+app.use("/api/admin", requireAdmin);
+
+const ADMIN_PAGE_SIZE = 50;
+
+// Escape user input before building a search regex
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Page/limit query parameters with sane bounds
+const readPagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || ADMIN_PAGE_SIZE, 1),
+    200
+  );
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Admin API: List and search users with their presence
+app.get("/api/admin/users", async (req, res) => {
+  try {
+    const { page, limit, skip } = readPagination(req.query);
+    const search = (req.query.search || "").trim();
+    const filter = search
+      ? {
+          $or: ["username", "email", "peerId"].map((field) => ({
+            [field]: { $regex: escapeRegex(search), $options: "i" },
+          })),
+        }
+      : {};
+
+    const [total, users] = await Promise.all([
+      User.countDocuments(filter),
+      User.find(filter)
+        .select(
+          "username email peerId role disabledAt createdAt twoFactor.enabled"
+        )
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+    ]);
+    const presence = await OnlineUsers.find({
+      peerId: { $in: users.map((u) => u.peerId) },
+    }).lean();
+
+    res.json({
+      total,
+      page,
+      limit,
+      users: users.map((user) => {
+        const onlineStatus = presence.find((p) => p.peerId === user.peerId);
+        return {
+          ...user,
+          status: onlineStatus?.status || "unknown",
+          lastSeen: onlineStatus?.lastSeen || null,
+        };
+      }),
+    });
+  } catch (error) {
+    console.error("❌ Error listing users:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// Admin API: Disable an account and end its sessions
+app.post("/api/admin/users/:userId/disable", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(400).json({ error: "Invalid user id" });
+    }
+    if (String(req.user._id) === req.params.userId) {
+      return res
+        .status(400)
+        .json({ error: "You cannot disable your own account" });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (!user.disabledAt) {
+      user.disabledAt = new Date();
+      user.tokenVersion = (user.tokenVersion || 0) + 1;
+      await user.save();
+      await OnlineUsers.markOffline(user.peerId);
+
+      const sockets = await io.fetchSockets();
+      sockets
+        .filter((s) => String(s.data.user?._id) === String(user._id))
+        .forEach((s) => s.disconnect(true));
+      console.log(`⛔ ${req.user.username} disabled ${user.username}`);
+    }
+
+    res.json({ success: true, disabledAt: user.disabledAt });
+  } catch (error) {
+    console.error("❌ Error disabling user:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// Admin API: Re-enable a disabled account
+app.post("/api/admin/users/:userId/enable", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(400).json({ error: "Invalid user id" });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.userId,
+      { disabledAt: null },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    console.log(`✅ ${req.user.username} re-enabled ${user.username}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error("❌ Error enabling user:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// Admin API: Presence records, most recently seen first
+app.get("/api/admin/presence", async (req, res) => {
+  try {
+    const { page, limit, skip } = readPagination(req.query);
+    const filter = req.query.status ? { status: req.query.status } : {};
+
+    const [total, onlineCount, presence] = await Promise.all([
+      OnlineUsers.countDocuments(filter),
+      OnlineUsers.countDocuments({ status: "online" }),
+      OnlineUsers.find(filter)
+        .sort({ lastSeen: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+    ]);
+
+    res.json({ total, onlineCount, page, limit, presence });
+  } catch (error) {
+    console.error("❌ Error listing presence:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// Admin API: Message counts and total size per queue status
+app.get("/api/admin/queue/stats", async (req, res) => {
+  try {
+    const rows = await MessageQueue.aggregate([
+      {
+        $group: {
+          _id: "$status",
+          count: { $sum: 1 },
+          totalSize: { $sum: "$fileSize" },
+          oldest: { $min: "$createdAt" },
+        },
+      },
+    ]);
+
+    const byStatus = {};
+    for (const status of MessageQueue.schema.path("status").enumValues) {
+      const row = rows.find((r) => r._id === status);
+      byStatus[status] = {
+        count: row?.count || 0,
+        totalSize: row?.totalSize || 0,
+        oldest: row?.oldest || null,
+      };
+    }
+
+    res.json({
+      total: rows.reduce((sum, r) => sum + r.count, 0),
+      byStatus,
+    });
+  } catch (error) {
+    console.error("❌ Error building queue stats:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// Admin API: Browse queued messages, optionally by status or peer
+app.get("/api/admin/messages", async (req, res) => {
+  try {
+    const { page, limit, skip } = readPagination(req.query);
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.peerId) {
+      filter.$or = [
+        { senderPeerId: req.query.peerId },
+        { receiverPeerId: req.query.peerId },
+      ];
+    }
+
+    const [total, messages] = await Promise.all([
+      MessageQueue.countDocuments(filter),
+      MessageQueue.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+    ]);
+
+    res.json({ total, page, limit, messages });
+  } catch (error) {
+    console.error("❌ Error listing messages:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// Admin API: Mark an undelivered message as failed
+app.post("/api/admin/messages/:messageId/fail", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.messageId)) {
+      return res.status(400).json({ error: "Invalid message id" });
+    }
+
+    const message = await MessageQueue.findOneAndUpdate(
+      { _id: req.params.messageId, status: { $in: ["pending", "ready"] } },
+      {
+        status: "failed",
+        failedAt: new Date(),
+        failureReason: "Failed by administrator",
+      },
+      { new: true }
+    );
+    if (!message) {
+      return res
+        .status(404)
+        .json({ error: "No pending or ready message with that id" });
+    }
+
+    console.log(`❌ ${req.user.username} force-failed message ${message._id}`);
+    notifyMessageStatus(message);
+    res.json({ success: true, message });
+  } catch (error) {
+    console.error("❌ Error failing message:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// Admin API: Put a failed message back in the delivery queue
+app.post("/api/admin/messages/:messageId/requeue", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.messageId)) {
+      return res.status(400).json({ error: "Invalid message id" });
+    }
+
+    const message = await MessageQueue.findOneAndUpdate(
+      { _id: req.params.messageId, status: "failed", contentRemovedAt: null },
+      {
+        status: "pending",
+        attempts: 0,
+        requeuedAt: new Date(),
+        failedAt: null,
+        failureReason: null,
+        readyAt: null,
+      },
+      { new: true }
+    );
+    if (!message) {
+      return res.status(404).json({
+        error: "No failed message with stored content with that id",
+      });
+    }
+
+    console.log(`🔁 ${req.user.username} requeued message ${message._id}`);
+    notifyMessageStatus(message);
+    await scheduleDelivery(message);
+    res.json({ success: true, message });
+  } catch (error) {
+    console.error("❌ Error requeuing message:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+const JOB_STATES = ["waiting", "delayed", "active", "dead"];
+
+// Admin API: Delivery job counts, and the jobs in one state (dead-lettered
+// by default)
+app.get("/api/admin/jobs", async (req, res) => {
+  try {
+    const state = req.query.state || "dead";
+    if (!JOB_STATES.includes(state)) {
+      return res
+        .status(400)
+        .json({ error: `state must be one of ${JOB_STATES.join(", ")}` });
+    }
+    const { limit } = readPagination(req.query);
+
+    const queue = getDeliveryQueue();
+    const [counts, jobs] = await Promise.all([
+      queue.getCounts(),
+      queue.listJobs(state, { limit }),
+    ]);
+
+    res.json({ counts, state, jobs });
+  } catch (error) {
+    console.error("❌ Error listing jobs:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// Admin API: One delivery job with its attempts and last error
+app.get("/api/admin/jobs/:jobId", async (req, res) => {
+  try {
+    const job = await getDeliveryQueue().getJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    res.json({ job });
+  } catch (error) {
+    console.error("❌ Error fetching job:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// Admin API: Give a dead-lettered job a fresh set of attempts
+app.post("/api/admin/jobs/:jobId/retry", async (req, res) => {
+  try {
+    const retried = await getDeliveryQueue().retryDead(req.params.jobId);
+    if (!retried) {
+      return res
+        .status(404)
+        .json({ error: "No dead-lettered job with that id" });
+    }
+
+    console.log(`🔁 ${req.user.username} retried job ${req.params.jobId}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error("❌ Error retrying job:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// Admin API: What the retention policy would remove right now
+app.get("/api/admin/retention/report", async (req, res) => {
+  try {
+    res.json(await runRetention({ dryRun: true }));
+  } catch (error) {
+    console.error("❌ Error building retention report:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// Admin API: Apply the retention policy now instead of waiting for the schedule
+app.post("/api/admin/retention/run", async (req, res) => {
+  try {
+    const report = await runRetention({ trigger: "admin" });
+    console.log(
+      `🧹 ${req.user.username} ran retention: ${report.totals.messages} file(s) released`
+    );
+    res.json(report);
+  } catch (error) {
+    console.error("❌ Error applying retention:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// Admin API: Log of stored content that was removed, and why
+app.get("/api/admin/retention/removals", async (req, res) => {
+  try {
+    const { page, limit, skip } = readPagination(req.query);
+    const filter = {};
+    if (req.query.reason) filter.reason = req.query.reason;
+
+    const [total, removals] = await Promise.all([
+      StorageRemoval.countDocuments(filter),
+      StorageRemoval.find(filter)
+        .sort({ removedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+    ]);
+
+    res.json({ total, page, limit, removals });
+  } catch (error) {
+    console.error("❌ Error listing storage removals:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// API Endpoint: Get User Status
+app.get("/api/user/status/:peerId", async (req, res) => {
+  try {
+    const { peerId } = req.params;
+    console.log(`📊 Checking status for peer: ${peerId}`);
+
+    // First check if user exists in database
+    const user = await User.findOne({ peerId });
+    if (!user) {
+      console.log(`❌ User not found with peerId: ${peerId}`);
+      return res.status(404).json({ error: "User not found" });
+    }
+    console.log(`✅ User found: ${user.username}`);
+
+    // Check online status from OnlineUsers collection
+    const onlineUser = await OnlineUsers.findOne({ peerId });
+    console.log(
+      `🔍 OnlineUser record:`,
+      onlineUser
+        ? {
+            status: onlineUser.status,
+            lastSeen: onlineUser.lastSeen,
+          }
+        : "No record found"
+    );
+
+    // Calculate how recently the user was last seen
+    const timeThreshold = new Date(Date.now() - 2 * 60 * 1000); // 2 minutes ago
+    const isOnline =
+      onlineUser?.status === "online" && onlineUser.lastSeen > timeThreshold;
+
+    console.log(`⏱️ Time threshold: ${timeThreshold.toISOString()}`);
+    console.log(`🟢 Is user online? ${isOnline}`);
+
+    return res.json({
+      online: isOnline,
+      lastSeen: onlineUser?.lastSeen || null,
+      username: user.username,
     });
   } catch (error) {
     console.error("Error getting user status:", error);
@@ -555,253 +2006,740 @@ const io = require("socket.io")(server, {
   },
 });
 
-// Keep this for real-time notifications
-// But we won't use it for offline message delivery anymore
-io.on("connection", async (socket) => {
-  console.log("🔌 New socket connection");
-  let currentUser = null;
+// Reject socket connections without a valid access token
+io.use(authenticateSocket);
 
-  socket.on("user-online", async (userData) => {
+// Real-time notifications; HTTP polling is the fallback when this is down
+io.on("connection", async (socket) => {
+  // Identity is fixed at handshake time, never taken from event payloads
+  const currentUser = {
+    peerId: socket.data.user.peerId,
+    username: socket.data.user.username,
+    email: socket.data.user.email,
+  };
+  console.log(`🔌 New socket connection from ${currentUser.username}`);
+
+  // Registered before any event so pushes triggered by user-online arrive
+  addSocket(currentUser.peerId, socket);
+
+  socket.on("user-online", async () => {
     try {
-      currentUser = userData;
-
       // Update online status using our model method
-      await OnlineUsers.markOnline({
-        peerId: userData.peerId,
-        username: userData.username,
-        email: userData.email,
-      });
+      await OnlineUsers.markOnline(currentUser);
 
-      console.log(`✅ User ${userData.username} is now online`);
+      console.log(`✅ User ${currentUser.username} is now online`);
     } catch (error) {
       console.error("Error updating online status:", error);
     }
   });
 
-  socket.on("heartbeat", async ({ peerId }) => {
+  socket.on("heartbeat", async () => {
     try {
-      if (currentUser && currentUser.peerId === peerId) {
-        // Update last seen timestamp
-        await OnlineUsers.findOneAndUpdate(
-          { peerId },
-          { lastSeen: new Date() }
-        );
-      }
+      // Also marks the user online again, which delivers anything that
+      // queued up for them while they were marked offline
+      await OnlineUsers.markOnline(currentUser);
     } catch (error) {
       console.error("Error updating heartbeat:", error);
     }
   });
 
-  socket.on("user-offline", async ({ peerId }) => {
+  socket.on("user-offline", async () => {
     try {
-      if (currentUser && currentUser.peerId === peerId) {
-        await OnlineUsers.markOffline(peerId);
-        console.log(`User ${peerId} marked as offline`);
-      }
+      await OnlineUsers.markOffline(currentUser.peerId);
+      console.log(`User ${currentUser.peerId} marked as offline`);
     } catch (error) {
       console.error("Error updating offline status:", error);
     }
   });
 
   socket.on("disconnect", async () => {
+    // Closing one of several tabs leaves the user online
+    if (removeSocket(currentUser.peerId, socket) > 0) return;
     try {
-      if (currentUser) {
-        await OnlineUsers.markOffline(currentUser.peerId);
-        console.log(`User ${currentUser.username} disconnected`);
-      }
+      await OnlineUsers.markOffline(currentUser.peerId);
+      console.log(`User ${currentUser.username} disconnected`);
     } catch (error) {
       console.error("Error handling disconnect:", error);
     }
-  });
+  });
+});
+
+// Start the message delivery jobs
+let deliveryInterval;
+
+// Start server and delivery
+server.listen(PORT, () => {
+  console.log(`🚀 Server running on port ${PORT}`);
+
+  // Delivery runs as jobs on the Redis connection above
+  deliveryInterval = startDelivery(redis);
+  console.log(
+    `✅ Message delivery started (sweep every ${
+      RECONCILE_INTERVAL / 1000
+    } seconds)`
+  );
+
+  // Release stored content of delivered, expired and recalled files
+  startRetention();
+
+  // Drop staged chunks of resumable uploads that were never finished
+  setInterval(() => {
+    sweepStaleUploads()
+      .then((removed) => {
+        if (removed) console.log(`🧹 Removed ${removed} stale upload(s)`);
+      })
+      .catch((error) =>
+        console.error("❌ Error sweeping stale uploads:", error.message)
+      );
+  }, 60 * 60 * 1000); // Hourly
+});
+
+// Receivers fetch queued files through the authenticated download proxy,
+// never straight from the storage backend
+const withDownloadUrl = (req, message) => ({
+  ...message.toObject(),
+  downloadUrl: `${req.protocol}://${req.get("host")}/api/messages/${
+    message._id
+  }/download`,
+});
+
+// Create the MessageQueue entry for a file already in storage
+const queueStoredFile = async (
+  req,
+  {
+    receiverPeerId,
+    storageProvider,
+    key,
+    storedContentId,
+    fileName,
+    mimeType,
+    detectedType,
+    size,
+    sha256,
+    encrypted,
+    wrappedKeys,
+    manifest,
+    signature,
+  }
+) => {
+  const { peerId: senderPeerId, username: senderUsername } = req.user;
+
+  // Check if receiver is currently online
+  const isReceiverOnline = await OnlineUsers.findOne({
+    peerId: receiverPeerId,
+    status: "online",
+  });
+
+  // If receiver is online, we'll still queue the message but with a note
+  if (isReceiverOnline) {
+    console.log(
+      `⚠️ Note: Receiver ${receiverPeerId} is currently online, but using offline sharing`
+    );
+  }
+
+  // Create message queue entry
+  const message = new MessageQueue({
+    senderPeerId,
+    senderUsername,
+    receiverPeerId,
+    ipfsHash: key,
+    storageProvider: storageProvider.name,
+    storedContentId,
+    fileName,
+    mimeType,
+    detectedType,
+    fileSize: size,
+    sha256,
+    encrypted,
+    wrappedKeys,
+    manifest,
+    signature,
+  });
+
+  await message.save();
+  console.log(`✅ Message queued for delivery to ${receiverPeerId}`);
+
+  // The sweep restores the jobs if this fails
+  scheduleDelivery(message).catch((error) =>
+    console.error(`⚠️ Error scheduling delivery of ${message._id}:`, error)
+  );
+
+  return {
+    success: true,
+    message: "File queued for delivery",
+    messageId: message._id,
+    ipfsHash: key,
+  };
+};
+
+// Depending on the policy's offlineProtection, either only ciphertext may
+// reach storage (and only for receivers with a key to decrypt it), or only
+// plaintext, so the malware scanner can read it
+const checkEncryptionPolicy = (policy, receiver, encrypted) => {
+  if (policy.offlineProtection === "scanned") {
+    if (encrypted) {
+      throw uploadError(
+        400,
+        "SCAN_REQUIRED",
+        "Files must be uploaded unencrypted so they can be scanned for malware"
+      );
+    }
+    return;
+  }
+  if (!encrypted) {
+    throw uploadError(
+      400,
+      "ENCRYPTION_REQUIRED",
+      "Files must be end-to-end encrypted before upload"
+    );
+  }
+  if (!receiver.publicKeys?.length) {
+    throw uploadError(
+      400,
+      "RECEIVER_HAS_NO_KEYS",
+      `${receiver.username} has not set up encryption yet. They need to log in once before you can send them files`
+    );
+  }
+};
+
+const quotaError = (quota) =>
+  uploadError(
+    quota.code === QuotaErrorCode.STORAGE ? 413 : 429,
+    quota.code,
+    quota.message
+  );
+
+// Reject an upload that would take the sender over their quotas
+const enforceQuota = async (user, size) => {
+  const quota = await checkQuota(user, size);
+  if (!quota.ok) throw quotaError(quota);
+};
+
+// Like enforceQuota, but holds the quota until releaseUploadQuota is called
+const reserveUploadQuota = async (user, size, options) => {
+  const quota = await reserveQuota(user, size, options);
+  if (!quota.ok) throw quotaError(quota);
+  return quota.reservation;
+};
+
+// Runs in finally blocks, so it must not throw; a reservation that cannot
+// be released expires on its own
+const releaseUploadQuota = async (user, reservation) => {
+  try {
+    await releaseQuota(user, reservation);
+  } catch (error) {
+    console.error("❌ Error releasing quota reservation:", error.message);
+  }
+};
+
+const MAX_WRAPPED_KEYS_LENGTH = 64 * 1024;
+
+// The receiver needs the wrapped data keys to decrypt; files from older
+// clients carry them in their header instead
+const checkWrappedKeys = (wrappedKeys) => {
+  if (wrappedKeys === undefined) return undefined;
+
+  let recipients = null;
+  try {
+    if (
+      typeof wrappedKeys === "string" &&
+      wrappedKeys.length <= MAX_WRAPPED_KEYS_LENGTH
+    ) {
+      recipients = JSON.parse(wrappedKeys);
+    }
+  } catch (error) {
+    // Reported below
+  }
+  if (!Array.isArray(recipients) || !recipients.length) {
+    throw uploadError(400, "INVALID_KEYS", "Invalid wrapped keys");
+  }
+  return wrappedKeys;
+};
+
+// Manifests are optional, but one that is sent must be signed by one of the
+// sender's keys and name this sender, receiver and file. The file hash
+// covers the plaintext, so only the receiver can check it after decrypting.
+const checkSignedManifest = (
+  sender,
+  { receiverPeerId, fileName },
+  { manifest, signature }
+) => {
+  if (!manifest && !signature) return {};
+
+  const parsed = verifyManifest(manifest, signature, sender.signingKeys || []);
+  if (
+    !parsed ||
+    parsed.senderPeerId !== sender.peerId ||
+    parsed.receiverPeerId !== receiverPeerId ||
+    parsed.fileName !== fileName
+  ) {
+    throw uploadError(
+      400,
+      "INVALID_SIGNATURE",
+      "The file manifest signature could not be verified"
+    );
+  }
+  return { manifest, signature };
+};
+
+// API endpoint to upload file to storage and queue for offline delivery.
+// The multipart body is streamed straight to the storage provider.
+app.post("/api/share/offline", async (req, res) => {
+  let reservation = null;
+  try {
+    console.log("📤 Offline sharing request received");
+
+    // Sender is always the authenticated user
+    const { peerId: senderPeerId, username: senderUsername } = req.user;
+    const storageProvider = getStorageProvider();
+    const policy = policyFor(req.user.role);
+
+    // The body is at least as large as the file in it, so a declared length
+    // over the quota can be turned away before anything is streamed
+    const declaredLength = Number(req.headers["content-length"]) || null;
+    if (declaredLength) await enforceQuota(req.user, declaredLength);
+
+    const { fields, file } = await receiveUpload(req, {
+      // Larger files go through resumable uploads
+      maxFileSize: policy.maxFileSize.singleRequest,
+      allowedTypes: [
+        ...policy.types.map((type) => type.mimeType),
+        ENCRYPTED_CONTENT_TYPE,
+      ],
+      fileSizeLimit: ({ fields, mimeType }) =>
+        sizeLimit(
+          policy,
+          fields.encrypted === "true" ? fields.mimeType : mimeType,
+          "offline"
+        ),
+      // receiverPeerId is sent before the file, so check it before storing
+      onFile: async ({ fields, stream, fileName, mimeType }) => {
+        const { receiverPeerId } = fields;
+        const encrypted = fields.encrypted === "true";
+
+        // Encrypted files carry their real type in the mimeType field
+        const declaredType = encrypted ? fields.mimeType : mimeType;
+        if (
+          (encrypted && mimeType !== ENCRYPTED_CONTENT_TYPE) ||
+          !isTypeAllowed(policy, declaredType)
+        ) {
+          throw uploadError(
+            400,
+            "FILE_TYPE_NOT_ALLOWED",
+            "File type not allowed"
+          );
+        }
+        console.log(`📎 Request details:`, {
+          senderPeerId,
+          senderUsername,
+          receiverPeerId,
+          fileName,
+        });
+
+        if (!receiverPeerId) {
+          throw uploadError(400, "MISSING_FIELDS", "Missing required fields");
+        }
+
+        // Check if receiver exists
+        const receiver = await User.findOne({ peerId: receiverPeerId });
+        if (!receiver) {
+          console.log(`❌ Receiver not found with peerId: ${receiverPeerId}`);
+          throw uploadError(404, "RECEIVER_NOT_FOUND", "Receiver not found");
+        }
+        console.log(`✅ Receiver found: ${receiver.username}`);
+        checkEncryptionPolicy(policy, receiver, encrypted);
+        checkWrappedKeys(fields.wrappedKeys);
+        checkSignedManifest(req.user, { receiverPeerId, fileName }, fields);
+        // The file cannot outgrow the body, or without a declared length,
+        // the largest file of its type
+        reservation = await reserveUploadQuota(
+          req.user,
+          declaredLength || sizeLimit(policy, declaredType, "singleRequest")
+        );
+
+        console.log(
+          `🔄 Streaming ${fileName} to the ${storageProvider.name} provider...`
+        );
+        return storageProvider.put(stream, {
+          fileName,
+          contentType: mimeType,
+          metadata: { sender: senderUsername, receiver: receiverPeerId },
+        });
+      },
+    });
+
+    const { receiverPeerId } = fields;
+    console.log(
+      `✅ File stored: ${file.fileName} (${file.size} bytes, key ${file.result.key})`
+    );
+
+    // Identical content sent before is kept once and shared
+    const content = await acquireContent(storageProvider, {
+      key: file.result.key,
+      sha256: file.sha256,
+      size: file.size,
+    });
+
+    res.status(200).json(
+      await queueStoredFile(req, {
+        receiverPeerId,
+        storageProvider,
+        key: content.key,
+        storedContentId: content.storedContentId,
+        fileName: file.fileName,
+        mimeType: fields.encrypted === "true" ? fields.mimeType : file.mimeType,
+        // The server cannot see inside ciphertext; the receiver checks the
+        // decrypted contents against mimeType before saving the file
+        detectedType: fields.encrypted === "true" ? null : file.detectedType,
+        size: file.size,
+        sha256: file.sha256,
+        encrypted: fields.encrypted === "true",
+        wrappedKeys: fields.wrappedKeys,
+        manifest: fields.manifest,
+        signature: fields.signature,
+      })
+    );
+  } catch (error) {
+    if (error.status) {
+      console.log(`❌ Upload rejected: ${error.message}`);
+      return res
+        .status(error.status)
+        .json({ error: error.message, code: error.code });
+    }
+
+    console.error("❌ Error queueing file for delivery:", error);
+    console.error("Error details:", error.response?.data || "No response data");
+    res.status(500).json({
+      error: `File upload failed: ${error.message || "Internal server error"}`,
+    });
+  } finally {
+    // Once queued, the file itself counts against the quota
+    if (reservation) await releaseUploadQuota(req.user, reservation);
+  }
 });
 
-// Start the message queue polling mechanism
-let pollingInterval;
+// Resumable uploads: create a session, PATCH chunks at the current offset
+// (resuming after a dropped connection by asking for the offset), then
+// complete it into a MessageQueue entry
 
-// Start server and polling
-server.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
+// Message shown for each resumable upload failure code
+const UPLOAD_ERROR_MESSAGES = {
+  [UploadErrorCode.OFFSET_MISMATCH]: "Upload offset does not match",
+  [UploadErrorCode.BUSY]: "Another request is writing to this upload",
+  [UploadErrorCode.INCOMPLETE]: "Upload is not complete yet",
+};
 
-  // Start polling mechanism without Socket.io dependency
-  pollingInterval = startPolling();
-  console.log(
-    `✅ Message queue polling started (every ${
-      POLLING_INTERVAL / 1000
-    } seconds)`
-  );
+const sendUploadError = (res, result) => {
+  res.set("Upload-Offset", String(result.offset ?? ""));
+  return res.status(409).json({
+    error: UPLOAD_ERROR_MESSAGES[result.code],
+    code: result.code,
+    offset: result.offset,
+  });
+};
 
-  // Create uploads directory if it doesn't exist
-  const uploadDir = path.join(__dirname, "uploads");
-  if (!fs.existsSync(uploadDir)) {
-    fs.mkdirSync(uploadDir, { recursive: true });
-    console.log("✅ Created uploads directory");
+// Load the caller's own upload session or answer 404
+const loadUploadSession = async (req, res) => {
+  const session = await getUploadSession(redis, req.params.uploadId);
+  if (!session || session.userId !== String(req.user._id)) {
+    res.status(404).json({ error: "Upload not found or expired" });
+    return null;
   }
-});
+  return session;
+};
 
-// API endpoint to upload file to IPFS and queue for offline delivery
-app.post("/api/share/offline", upload.single("file"), async (req, res) => {
+// API endpoint: Start a resumable upload
+app.post("/api/uploads", async (req, res) => {
   try {
-    console.log("📤 Offline sharing request received");
+    const { receiverPeerId, fileName, fileSize, mimeType } = req.body;
+    const encrypted = req.body.encrypted === true;
+    const size = Number(fileSize);
 
-    if (!req.file) {
-      console.log("❌ No file received in request");
-      return res.status(400).json({ error: "No file uploaded" });
+    if (!receiverPeerId || !fileName || !mimeType) {
+      return res.status(400).json({ error: "Missing required fields" });
     }
-    console.log(
-      `📄 Received file: ${req.file.originalname} (${req.file.size} bytes)`
-    );
-
-    const { senderPeerId, senderUsername, receiverPeerId } = req.body;
-    console.log(`📎 Request details:`, {
-      senderPeerId,
-      senderUsername,
-      receiverPeerId,
-    });
-
-    if (!senderPeerId || !senderUsername || !receiverPeerId) {
-      console.log("❌ Missing required fields:", {
-        senderPeerId,
-        senderUsername,
-        receiverPeerId,
+    if (!Number.isInteger(size) || size < 0) {
+      return res.status(400).json({ error: "Invalid file size" });
+    }
+    const policy = policyFor(req.user.role);
+    if (!isTypeAllowed(policy, mimeType)) {
+      return res.status(400).json({
+        error: "File type not allowed",
+        code: "FILE_TYPE_NOT_ALLOWED",
+      });
+    }
+    const maxSize = sizeLimit(policy, mimeType, "offline");
+    if (size > maxSize) {
+      return res.status(413).json({
+        error: "File is too large",
+        code: "FILE_TOO_LARGE",
+        maxSize,
       });
-      return res.status(400).json({ error: "Missing required fields" });
     }
 
-    // Check if receiver exists
     const receiver = await User.findOne({ peerId: receiverPeerId });
     if (!receiver) {
-      console.log(`❌ Receiver not found with peerId: ${receiverPeerId}`);
-      return res.status(404).json({ error: "Receiver not found" });
+      return res.status(404).json({
+        error: "Receiver not found",
+        code: "RECEIVER_NOT_FOUND",
+      });
     }
-    console.log(`✅ Receiver found: ${receiver.username}`);
+    checkEncryptionPolicy(policy, receiver, encrypted);
+    const wrappedKeys = checkWrappedKeys(req.body.wrappedKeys);
+    const signed = checkSignedManifest(
+      req.user,
+      { receiverPeerId, fileName },
+      req.body
+    );
 
-    // Check if receiver is currently online
-    const isReceiverOnline = await OnlineUsers.findOne({
-      peerId: receiverPeerId,
-      status: "online",
+    // Staged chunks count against the quota, so open sessions cannot add
+    // up to more than it. The hold lasts the session's first TTL; a session
+    // kept alive longer is checked again when it completes.
+    const reservation = await reserveUploadQuota(req.user, size, {
+      ttlMs: UPLOAD_SESSION_TTL_SECONDS * 1000,
     });
-
-    // If receiver is online, we'll still queue the message but with a note
-    if (isReceiverOnline) {
-      console.log(
-        `⚠️ Note: Receiver ${receiverPeerId} is currently online, but using offline sharing`
-      );
+    let session;
+    try {
+      session = await createUploadSession(redis, {
+        userId: String(req.user._id),
+        receiverPeerId,
+        fileName,
+        mimeType,
+        size,
+        encrypted,
+        wrappedKeys,
+        reservation,
+        ...signed,
+      });
+    } catch (error) {
+      await releaseUploadQuota(req.user, reservation);
+      throw error;
     }
-
     console.log(
-      `📤 Uploading file to IPFS: ${req.file.originalname} (${req.file.size} bytes)`
+      `📤 Resumable upload ${session.uploadId} started: ${fileName} (${size} bytes) for ${receiver.username}`
     );
 
-    // Upload to IPFS using Pinata
-    const pinataFormData = new FormData();
-    pinataFormData.append("file", fs.createReadStream(req.file.path), {
-      filename: req.file.originalname,
-      contentType: req.file.mimetype,
-    });
-
-    // Add metadata to help organize files
-    const metadata = JSON.stringify({
-      name: req.file.originalname,
-      sender: senderUsername,
-      receiver: receiverPeerId,
-      timestamp: new Date().toISOString(),
+    res.status(201).json({
+      uploadId: session.uploadId,
+      offset: session.offset,
+      chunkSize: UPLOAD_CHUNK_SIZE,
+      expiresIn: UPLOAD_SESSION_TTL_SECONDS,
     });
-    pinataFormData.append("pinataMetadata", metadata);
+  } catch (error) {
+    if (error.status) {
+      return res
+        .status(error.status)
+        .json({ error: error.message, code: error.code });
+    }
+    console.error("❌ Error starting resumable upload:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
 
-    try {
-      console.log("🔄 Sending request to Pinata...");
+// API endpoint: Current offset of an upload (also answers HEAD)
+app.get("/api/uploads/:uploadId", async (req, res) => {
+  try {
+    const session = await loadUploadSession(req, res);
+    if (!session) return;
 
-      // Verify API key exists
-      if (!process.env.PINATA_API_KEY) {
-        console.error("❌ Pinata API key not found in environment variables");
-        throw new Error("IPFS service configuration error");
-      }
+    res.set("Upload-Offset", String(session.offset));
+    res.set("Upload-Length", String(session.size));
+    res.json({
+      uploadId: session.uploadId,
+      offset: session.offset,
+      size: session.size,
+      fileName: session.fileName,
+    });
+  } catch (error) {
+    console.error("❌ Error reading upload offset:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
 
-      console.log(
-        "🔑 Using Pinata API key:",
-        process.env.PINATA_API_KEY.substring(0, 5) + "..."
-      );
+// API endpoint: Append a chunk; the Upload-Offset header says where it starts
+app.patch("/api/uploads/:uploadId", async (req, res) => {
+  try {
+    const session = await loadUploadSession(req, res);
+    if (!session) return;
 
-      const pinataResponse = await axios.post(
-        "https://api.pinata.cloud/pinning/pinFileToIPFS",
-        pinataFormData,
-        {
-          maxBodyLength: Infinity,
-          headers: {
-            "Content-Type": `multipart/form-data; boundary=${pinataFormData._boundary}`,
-            Authorization: `Bearer ${process.env.PINATA_API_KEY}`,
-          },
-        }
-      );
+    const offset = Number(req.headers["upload-offset"]);
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res
+        .status(400)
+        .json({ error: "Upload-Offset header is required" });
+    }
 
-      if (!pinataResponse.data || !pinataResponse.data.IpfsHash) {
-        console.error(
-          "❌ Failed to get IPFS hash from Pinata response:",
-          pinataResponse.data
-        );
-        throw new Error("Failed to upload to IPFS");
-      }
+    const result = await appendUploadChunk(redis, session, {
+      offset,
+      stream: req,
+    });
+    if (!result.ok) {
+      return sendUploadError(res, result);
+    }
 
-      console.log("✅ File uploaded to IPFS successfully");
-      console.log("📝 IPFS Hash:", pinataResponse.data.IpfsHash);
+    res.set("Upload-Offset", String(result.offset));
+    res.json({ offset: result.offset, size: session.size });
+  } catch (error) {
+    if (error.status) {
+      return res
+        .status(error.status)
+        .json({ error: error.message, code: error.code });
+    }
+    console.error("❌ Error writing upload chunk:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
 
-      // Create message queue entry
-      const message = new MessageQueue({
-        senderPeerId,
-        senderUsername,
-        receiverPeerId,
-        ipfsHash: pinataResponse.data.IpfsHash,
-        fileName: req.file.originalname,
-        fileSize: req.file.size,
-      });
+// API endpoint: Store a fully received upload and queue it for delivery
+app.post("/api/uploads/:uploadId/complete", async (req, res) => {
+  let reservation = null;
+  try {
+    const session = await loadUploadSession(req, res);
+    if (!session) return;
 
-      await message.save();
-      console.log(`✅ Message queued for delivery to ${receiverPeerId}`);
+    // Trade the session's hold for one that ends with this request. Usage
+    // may have grown since the upload started if the hold expired.
+    if (session.reservation) {
+      await releaseUploadQuota(req.user, session.reservation);
+    }
+    reservation = await reserveUploadQuota(req.user, session.size);
+
+    const storageProvider = getStorageProvider();
+    const result = await finalizeUpload(
+      redis,
+      session,
+      async (openStream, { size, sha256, detectedType }) => {
+        if (
+          !session.encrypted &&
+          isVerifiableType(session.mimeType) &&
+          !isTypeCompatible(session.mimeType, detectedType)
+        ) {
+          throw typeMismatch();
+        }
 
-      // Clean up temporary file
-      fs.unlink(req.file.path, (err) => {
-        if (err) console.error("Error deleting temp file:", err);
-      });
+        // Identical content sent before is not stored a second time
+        const existing = await reuseContent(storageProvider.name, sha256);
+        if (existing) return existing;
+
+        const stored = await storageProvider.put(openStream(), {
+          fileName: session.fileName,
+          contentType: session.encrypted
+            ? ENCRYPTED_CONTENT_TYPE
+            : session.mimeType,
+          metadata: {
+            sender: req.user.username,
+            receiver: session.receiverPeerId,
+          },
+        });
+        return acquireContent(storageProvider, {
+          key: stored.key,
+          sha256,
+          size,
+        });
+      }
+    );
+    if (!result.ok) {
+      return sendUploadError(res, result);
+    }
+    console.log(
+      `✅ Resumable upload ${session.uploadId} stored (${
+        result.size
+      } bytes, key ${result.result.key}${
+        result.result.reused ? ", reused" : ""
+      })`
+    );
 
-      res.status(200).json({
-        success: true,
-        message: "File queued for delivery",
-        ipfsHash: pinataResponse.data.IpfsHash,
-        ipfsUrl: `https://gateway.pinata.cloud/ipfs/${pinataResponse.data.IpfsHash}`,
-      });
-    } catch (pinataError) {
-      console.error("❌ Error uploading to IPFS:", pinataError.message);
-      console.error(
-        "Error details:",
-        pinataError.response?.data || "No response data"
-      );
+    res.json(
+      await queueStoredFile(req, {
+        receiverPeerId: session.receiverPeerId,
+        storageProvider,
+        key: result.result.key,
+        storedContentId: result.result.storedContentId,
+        fileName: session.fileName,
+        mimeType: session.mimeType,
+        detectedType: session.encrypted ? null : result.detectedType,
+        size: result.size,
+        sha256: result.sha256,
+        encrypted: session.encrypted,
+        wrappedKeys: session.wrappedKeys,
+        manifest: session.manifest,
+        signature: session.signature,
+      })
+    );
+  } catch (error) {
+    if (error.status) {
+      return res
+        .status(error.status)
+        .json({ error: error.message, code: error.code });
+    }
+    console.error("❌ Error completing resumable upload:", error);
+    res.status(500).json({
+      error: `File upload failed: ${error.message || "Internal server error"}`,
+    });
+  } finally {
+    // Once queued, the file itself counts against the quota
+    if (reservation) await releaseUploadQuota(req.user, reservation);
+  }
+});
 
-      // Clean up temp file
-      fs.unlink(req.file.path, (err) => {
-        if (err) console.error("Error deleting temp file:", err);
-      });
+// API endpoint: Abandon an upload and drop what was received
+app.delete("/api/uploads/:uploadId", async (req, res) => {
+  try {
+    const session = await loadUploadSession(req, res);
+    if (!session) return;
 
-      throw new Error(`IPFS upload failed: ${pinataError.message}`);
+    await discardUpload(redis, session.uploadId);
+    if (session.reservation) {
+      await releaseUploadQuota(req.user, session.reservation);
     }
+    console.log(`🗑️ Resumable upload ${session.uploadId} cancelled`);
+    res.json({ success: true });
   } catch (error) {
-    console.error("❌ Error queueing file for delivery:", error);
-
-    // If there's a file but an error occurred, clean it up
-    if (req.file && req.file.path) {
-      fs.unlink(req.file.path, (err) => {
-        if (err) console.error("Error deleting temp file:", err);
-      });
-    }
-
-    res.status(500).json({ error: error.message || "Internal server error" });
+    console.error("❌ Error cancelling upload:", error);
+    res.status(500).json({ error: "Internal Server Error" });
   }
 });
 
+// Quarantined files the user has not been told about yet, as receiver or
+// sender. Each side is told once.
+const takeQuarantineAlerts = async (peerId) => {
+  const [received, sent] = await Promise.all(
+    [
+      ["receiverPeerId", "receiverAlertedAt"],
+      ["senderPeerId", "senderAlertedAt"],
+    ].map(async ([peerField, alertedField]) => {
+      const filter = {
+        [peerField]: peerId,
+        status: "quarantined",
+        [alertedField]: null,
+      };
+      const messages = await MessageQueue.find(filter)
+        .select(
+          "senderPeerId senderUsername receiverPeerId fileName fileSize scan quarantinedAt"
+        )
+        .lean();
+      if (messages.length) {
+        await MessageQueue.updateMany(
+          { _id: { $in: messages.map((m) => m._id) } },
+          { [alertedField]: new Date() }
+        );
+      }
+      return messages;
+    })
+  );
+  return { received, sent };
+};
+
 // API endpoint to get pending messages for a user
 app.get("/api/messages/pending/:peerId", async (req, res) => {
   try {
     const { peerId } = req.params;
 
+    // Users may only read their own queue
+    if (peerId !== req.user.peerId) {
+      return res.status(403).json({ error: "Unauthorized action" });
+    }
+
     // Get pending messages marked as ready for this user
     const messages = await MessageQueue.find({
       receiverPeerId: peerId,
@@ -811,7 +2749,8 @@ app.get("/api/messages/pending/:peerId", async (req, res) => {
     res.json({
       success: true,
       count: messages.length,
-      messages: messages,
+      messages: messages.map((message) => withDownloadUrl(req, message)),
+      quarantined: await takeQuarantineAlerts(peerId),
     });
   } catch (error) {
     console.error("❌ Error fetching pending messages:", error);
@@ -819,11 +2758,181 @@ app.get("/api/messages/pending/:peerId", async (req, res) => {
   }
 });
 
+// Statuses a receiver may still download the file in. Pending files have
+// not passed the malware scan yet.
+const DOWNLOADABLE_STATUSES = ["ready", "delivered"];
+
+// Count bytes start..end as served. A range only extends the bytes served
+// from the start of the file if it begins inside them, so the file counts as
+// downloaded once every byte was sent, not when some response merely reached
+// the last byte. One update, so the completion is never seen half-written.
+const recordDownload = async (message, start, end) => {
+  const size = message.fileSize;
+  const before = await MessageQueue.findOneAndUpdate(
+    start === 0
+      ? { _id: message._id }
+      : { _id: message._id, downloadedBytes: { $gte: start } },
+    [
+      { $set: { downloadedBytes: { $max: ["$downloadedBytes", end + 1] } } },
+      {
+        $set: {
+          downloadCompletedAt: {
+            $ifNull: [
+              "$downloadCompletedAt",
+              { $cond: [{ $gte: ["$downloadedBytes", size] }, "$$NOW", null] },
+            ],
+          },
+        },
+      },
+    ]
+  );
+  if (
+    before &&
+    !before.downloadCompletedAt &&
+    Math.max(before.downloadedBytes || 0, end + 1) >= size
+  ) {
+    console.log(
+      `📥 ${message.receiverPeerId} downloaded ${message.fileName} (${message._id})`
+    );
+  }
+};
+
+// Pass a stream through but keep its last chunk back until `beforeLast` has
+// run, so a client never holds the whole file (and confirms delivery) before
+// the download is recorded
+const holdLastChunk = (beforeLast) => {
+  let held = null;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const previous = held;
+      held = chunk;
+      callback(null, previous);
+    },
+    flush(callback) {
+      beforeLast().then(() => callback(null, held), callback);
+    },
+  });
+};
+
+// API endpoint: Stream a queued file to its receiver. Supports single
+// Range requests (and HEAD) so interrupted downloads can resume.
+app.get("/api/messages/:messageId/download", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.messageId)) {
+      return res.status(400).json({ error: "Invalid message id" });
+    }
+
+    const message = await MessageQueue.findById(req.params.messageId);
+    if (!message) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+    if (message.receiverPeerId !== req.user.peerId) {
+      return res.status(403).json({ error: "Unauthorized action" });
+    }
+    if (message.status === "recalled") {
+      return res
+        .status(410)
+        .json({ error: "The sender recalled this file", code: "RECALLED" });
+    }
+    if (message.status === "quarantined") {
+      return res.status(403).json({
+        error: "This file was flagged as malware and cannot be downloaded",
+        code: "QUARANTINED",
+      });
+    }
+    if (message.status === "pending") {
+      return res.status(409).json({
+        error: "This file is not ready for download yet",
+        code: "NOT_READY",
+      });
+    }
+    if (
+      message.contentRemovedAt ||
+      !DOWNLOADABLE_STATUSES.includes(message.status)
+    ) {
+      return res.status(410).json({
+        error: "This file is no longer available",
+        code: "CONTENT_REMOVED",
+      });
+    }
+
+    // fileSize is what was metered into storage, whatever the provider reports
+    const size = message.fileSize;
+    const etag = message.sha256 ? `"${message.sha256}"` : null;
+
+    // A stale If-Range means the client's partial copy is of other content;
+    // an empty file has no byte ranges to serve
+    const ifRange = req.get("If-Range");
+    let ranges =
+      size > 0 && (!ifRange || ifRange === etag)
+        ? req.range(size, { combine: true })
+        : null;
+    if (ranges === -1) {
+      res.set("Content-Range", `bytes */${size}`);
+      return res.status(416).json({ error: "Requested range not satisfiable" });
+    }
+    // Malformed or multipart ranges get the whole file
+    if (!Array.isArray(ranges) || ranges.length !== 1) ranges = null;
+
+    let file = null;
+    if (req.method !== "HEAD" && size > 0) {
+      file = await getStorageProvider(message.storageProvider).get(
+        message.ipfsHash,
+        ranges ? { start: ranges[0].start, end: ranges[0].end } : {}
+      );
+      // Storage sent the whole file instead of the range; pass it on as such
+      if (file.ranged === false) ranges = null;
+    }
+
+    const start = ranges ? ranges[0].start : 0;
+    const end = ranges ? ranges[0].end : size - 1;
+
+    res.set("Accept-Ranges", "bytes");
+    if (etag) res.set("ETag", etag);
+    // Encrypted files go out as stored; the client restores the real type
+    res.type(
+      message.encrypted
+        ? ENCRYPTED_CONTENT_TYPE
+        : message.detectedType || message.mimeType || ENCRYPTED_CONTENT_TYPE
+    );
+    res.attachment(message.fileName);
+    res.set("Content-Length", String(Math.max(end - start + 1, 0)));
+    if (ranges) {
+      res.status(206).set("Content-Range", `bytes ${start}-${end}/${size}`);
+    }
+
+    if (req.method === "HEAD") {
+      return res.end();
+    }
+
+    if (file) {
+      await pipeline(
+        file.stream,
+        holdLastChunk(() => recordDownload(message, start, end)),
+        res
+      );
+    } else {
+      await recordDownload(message, start, end);
+      res.end();
+    }
+  } catch (error) {
+    if (res.headersSent) {
+      // Client went away or storage failed mid-stream; it can resume
+      if (error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+        console.error("❌ Download interrupted:", error.message);
+      }
+      return res.destroy();
+    }
+    console.error("❌ Error downloading file:", error);
+    res.status(502).json({ error: "Could not read the file from storage" });
+  }
+});
+
 // API endpoint to mark a message as delivered
 app.post("/api/messages/delivered/:messageId", async (req, res) => {
   try {
     const { messageId } = req.params;
-    const { peerId } = req.body;
+    const { peerId } = req.user;
 
     // Find the message
     const message = await MessageQueue.findById(messageId);
@@ -837,11 +2946,27 @@ app.post("/api/messages/delivered/:messageId", async (req, res) => {
       return res.status(403).json({ error: "Unauthorized action" });
     }
 
+    if (message.status === "recalled") {
+      return res
+        .status(410)
+        .json({ error: "The sender recalled this file", code: "RECALLED" });
+    }
+
+    // Only a download that reached the end of the file counts
+    if (!message.downloadCompletedAt) {
+      return res.status(409).json({
+        error: "Download the file before confirming delivery",
+        code: "DOWNLOAD_INCOMPLETE",
+      });
+    }
+
     // Update the message status
-    await MessageQueue.findByIdAndUpdate(messageId, {
-      status: "delivered",
-      deliveredAt: new Date(),
-    });
+    const delivered = await MessageQueue.findByIdAndUpdate(
+      messageId,
+      { status: "delivered", deliveredAt: new Date() },
+      { new: true }
+    );
+    notifyMessageStatus(delivered);
 
     res.json({
       success: true,
@@ -853,47 +2978,116 @@ app.post("/api/messages/delivered/:messageId", async (req, res) => {
   }
 });
 
-// Heartbeat endpoint to keep user marked as online
-app.post("/api/user/heartbeat", async (req, res) => {
+// API endpoint for a receiver to decline a file without downloading it
+app.post("/api/messages/:messageId/dismiss", async (req, res) => {
   try {
-    const { peerId, username, email } = req.body;
+    if (!mongoose.isValidObjectId(req.params.messageId)) {
+      return res.status(400).json({ error: "Invalid message id" });
+    }
 
-    if (!peerId) {
-      return res.status(400).json({ error: "Peer ID is required" });
+    const message = await MessageQueue.findOneAndUpdate(
+      {
+        _id: req.params.messageId,
+        receiverPeerId: req.user.peerId,
+        status: { $in: ["pending", "ready"] },
+      },
+      { status: "dismissed", dismissedAt: new Date() },
+      { new: true }
+    );
+    if (!message) {
+      return res
+        .status(404)
+        .json({ error: "No undelivered file for you with that id" });
     }
+    notifyMessageStatus(message);
 
-    // Update user's online status and last seen time
-    await OnlineUsers.markOnline({ peerId, username, email });
+    res.json({ success: true, message: "File dismissed" });
+  } catch (error) {
+    console.error("❌ Error dismissing message:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-    res.json({ success: true });
+// API endpoint to list the files the caller has sent
+app.get("/api/messages/sent", async (req, res) => {
+  try {
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || 20, 1),
+      100
+    );
+    const messages = await MessageQueue.find({ senderPeerId: req.user.peerId })
+      .select("-manifest -signature -wrappedKeys")
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({ success: true, count: messages.length, messages });
   } catch (error) {
-    console.error("Error updating heartbeat:", error);
+    console.error("❌ Error fetching sent messages:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Debugging endpoint to check all online users
-app.get("/api/debug/users", async (req, res) => {
+// API endpoint for a sender to withdraw a file that was not delivered yet.
+// The stored content is released straight away.
+app.post("/api/messages/:messageId/recall", async (req, res) => {
   try {
-    const onlineUsers = await OnlineUsers.find().lean();
-    const users = await User.find().select("username peerId email").lean();
+    if (!mongoose.isValidObjectId(req.params.messageId)) {
+      return res.status(400).json({ error: "Invalid message id" });
+    }
 
-    const result = users.map((user) => {
-      const onlineStatus = onlineUsers.find((ou) => ou.peerId === user.peerId);
-      return {
-        ...user,
-        status: onlineStatus?.status || "unknown",
-        lastSeen: onlineStatus?.lastSeen || null,
-      };
-    });
+    const message = await MessageQueue.findOneAndUpdate(
+      {
+        _id: req.params.messageId,
+        senderPeerId: req.user.peerId,
+        status: { $in: ["pending", "ready", "failed"] },
+        // Retention may already have released a failed file's content
+        contentRemovedAt: null,
+      },
+      { status: "recalled", recalledAt: new Date() },
+      { new: true }
+    );
+    if (!message) {
+      return res
+        .status(404)
+        .json({ error: "No undelivered file of yours with that id" });
+    }
+    console.log(`↩️ ${req.user.username} recalled message ${message._id}`);
+    notifyMessageStatus(message);
 
-    res.json({
-      totalUsers: users.length,
-      onlineCount: onlineUsers.filter((u) => u.status === "online").length,
-      users: result,
-    });
+    // A failed release is retried by the next scheduled retention run
+    let contentRemoved = true;
+    try {
+      await releaseContent(message, {
+        reason: RemovalReason.RECALLED,
+        trigger: "recall",
+      });
+    } catch (error) {
+      contentRemoved = false;
+      console.error(
+        `❌ Failed to release recalled file ${message.ipfsHash}:`,
+        error.message
+      );
+    }
+
+    res.json({ success: true, contentRemoved });
+  } catch (error) {
+    console.error("❌ Error recalling message:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Heartbeat endpoint to keep user marked as online
+app.post("/api/user/heartbeat", async (req, res) => {
+  try {
+    const { peerId, username, email } = req.user;
+
+    // Update user's online status and last seen time
+    await OnlineUsers.markOnline({ peerId, username, email });
+
+    res.json({ success: true });
   } catch (error) {
-    console.error("Error in debug endpoint:", error);
+    console.error("Error updating heartbeat:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
@@ -901,35 +3095,20 @@ app.get("/api/debug/users", async (req, res) => {
 // API Endpoint: Update User Online Status
 app.post("/api/user/update-status", async (req, res) => {
   try {
-    const { peerId, username, email } = req.body;
+    // Identity comes from the session, not from the request body
+    const { peerId, username, email } = req.user;
     console.log(`📊 Received update-status request:`, {
       peerId,
       username,
       email,
-      body: req.body,
-      headers: req.headers,
     });
 
-    if (!peerId || !username || !email) {
-      console.log("❌ Missing required fields:", { peerId, username, email });
-      return res.status(400).json({
-        error: "Missing required fields",
-        received: { peerId, username, email },
-      });
-    }
-
     // Update or create online status
-    const onlineUser = await OnlineUsers.findOneAndUpdate(
-      { peerId },
-      {
-        peerId,
-        username,
-        email,
-        status: "online",
-        lastSeen: new Date(),
-      },
-      { upsert: true, new: true }
-    );
+    const onlineUser = await OnlineUsers.markOnline({
+      peerId,
+      username,
+      email,
+    });
 
     console.log(`✅ Updated online status for user:`, {
       username,
@@ -955,26 +3134,10 @@ app.post("/api/user/update-status", async (req, res) => {
 // API Endpoint: Mark User as Offline
 app.post("/api/user/mark-offline", async (req, res) => {
   try {
-    // Handle both JSON and FormData requests
-    let peerId;
-
-    if (req.is("application/json")) {
-      // Handle JSON request
-      peerId = req.body.peerId;
-    } else if (req.is("multipart/form-data")) {
-      // Handle FormData from sendBeacon
-      peerId = req.body.peerId;
-    } else {
-      // Try to get peerId from body regardless of content type
-      peerId = req.body.peerId;
-    }
+    const { peerId } = req.user;
 
     console.log(`📊 Marking user as offline: ${peerId}`);
 
-    if (!peerId) {
-      return res.status(400).json({ error: "Peer ID is required" });
-    }
-
     // Mark user as offline - use a more direct approach for synchronous requests
     const result = await OnlineUsers.findOneAndUpdate(
       { peerId },
@@ -0,0 +1,92 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+
+// Files are stored on local disk, named by their SHA-256 hash
+const FS_STORAGE_DIR =
+  process.env.FS_STORAGE_DIR || path.join(__dirname, "..", "storage-data");
+
+const KEY_PATTERN = /^[a-f0-9]{64}$/;
+
+const createProvider = () => {
+  fs.mkdirSync(FS_STORAGE_DIR, { recursive: true });
+
+  // Never let a key escape the storage directory
+  const filePath = (key) => {
+    if (!KEY_PATTERN.test(key)) throw new Error("Invalid storage key");
+    return path.join(FS_STORAGE_DIR, key);
+  };
+
+  const readInfo = async (key) => {
+    try {
+      return JSON.parse(await fs.promises.readFile(`${filePath(key)}.json`));
+    } catch (error) {
+      return {};
+    }
+  };
+
+  return {
+    name: "filesystem",
+
+    async put(stream, { fileName, contentType }) {
+      const tempPath = path.join(
+        FS_STORAGE_DIR,
+        `upload-${crypto.randomBytes(8).toString("hex")}.tmp`
+      );
+      const hash = crypto.createHash("sha256");
+      let size = 0;
+
+      try {
+        stream.on("data", (chunk) => {
+          hash.update(chunk);
+          size += chunk.length;
+        });
+        await pipeline(stream, fs.createWriteStream(tempPath));
+
+        const key = hash.digest("hex");
+        await fs.promises.rename(tempPath, filePath(key));
+        await fs.promises.writeFile(
+          `${filePath(key)}.json`,
+          JSON.stringify({ fileName, contentType, size })
+        );
+        return { key, size };
+      } catch (error) {
+        fs.unlink(tempPath, () => {});
+        throw error;
+      }
+    },
+
+    async get(key, { start, end } = {}) {
+      const [{ size }, info] = await Promise.all([
+        fs.promises.stat(filePath(key)),
+        readInfo(key),
+      ]);
+      return {
+        stream: fs.createReadStream(filePath(key), { start, end }),
+        size,
+        contentType: info.contentType,
+      };
+    },
+
+    async stat(key) {
+      try {
+        const { size } = await fs.promises.stat(filePath(key));
+        return { exists: true, size };
+      } catch (error) {
+        if (error.code === "ENOENT") return { exists: false };
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      for (const target of [filePath(key), `${filePath(key)}.json`]) {
+        await fs.promises.unlink(target).catch((error) => {
+          if (error.code !== "ENOENT") throw error;
+        });
+      }
+    },
+  };
+};
+
+module.exports = { createProvider };
@@ -0,0 +1,46 @@
+/**
+ * Storage providers for offline file sharing.
+ *
+ * Every provider exposes the same interface:
+ *   put(stream, { fileName, contentType, metadata }) -> { key, size }
+ *   get(key, { start, end })                         -> { stream, size, contentType, ranged }
+ *   stat(key)                                        -> { exists, size }
+ *   delete(key)                                      -> resolves once the content is gone
+ *
+ * `ranged` is false when a range was asked for but the whole file came back.
+ *
+ * `key` is what MessageQueue stores in `ipfsHash`: a CID for Pinata and Kubo,
+ * a content hash for the filesystem store and an object key for S3.
+ */
+const PROVIDERS = {
+  pinata: () => require("./pinata"),
+  kubo: () => require("./kubo"),
+  filesystem: () => require("./filesystem"),
+  s3: () => require("./s3"),
+};
+
+const DEFAULT_PROVIDER = process.env.STORAGE_PROVIDER || "pinata";
+
+const instances = new Map();
+
+/**
+ * Get a provider by name, creating it on first use. Without a name the
+ * provider configured by STORAGE_PROVIDER is returned.
+ */
+const getStorageProvider = (name = DEFAULT_PROVIDER) => {
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown storage provider: ${name}`);
+  }
+  if (!instances.has(name)) {
+    const { createProvider } = PROVIDERS[name]();
+    instances.set(name, createProvider());
+    console.log(`🗄️ Storage provider ready: ${name}`);
+  }
+  return instances.get(name);
+};
+
+module.exports = {
+  getStorageProvider,
+  DEFAULT_PROVIDER,
+  STORAGE_PROVIDERS: Object.keys(PROVIDERS),
+};
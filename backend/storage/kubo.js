@@ -0,0 +1,73 @@
+const axios = require("axios");
+const FormData = require("form-data");
+
+// A self-hosted IPFS node (Kubo) reached through its RPC API
+const KUBO_API_URL = process.env.KUBO_API_URL || "http://127.0.0.1:5001";
+
+const createProvider = () => {
+  // Every Kubo RPC call is a POST
+  const rpc = (command, params, options = {}) =>
+    axios.post(`${KUBO_API_URL}/api/v0/${command}`, options.data ?? null, {
+      params,
+      ...options,
+    });
+
+  return {
+    name: "kubo",
+
+    async put(stream, { fileName, contentType }) {
+      const formData = new FormData();
+      formData.append("file", stream, { filename: fileName, contentType });
+
+      const response = await rpc(
+        "add",
+        { pin: true, "cid-version": 1 },
+        {
+          data: formData,
+          maxBodyLength: Infinity,
+          headers: formData.getHeaders(),
+        }
+      );
+      return { key: response.data.Hash, size: Number(response.data.Size) };
+    },
+
+    async get(key, { start, end } = {}) {
+      const params = { arg: key };
+      if (start !== undefined) {
+        params.offset = start;
+        if (end !== undefined) params.length = end - start + 1;
+      }
+      const response = await rpc("cat", params, { responseType: "stream" });
+      const { size } = await this.stat(key);
+      return { stream: response.data, size, contentType: undefined };
+    },
+
+    async stat(key) {
+      try {
+        const response = await rpc(
+          "files/stat",
+          { arg: `/ipfs/${key}` },
+          { timeout: 5000 }
+        );
+        // Size is the file's own length; CumulativeSize adds DAG overhead
+        return { exists: true, size: Number(response.data.Size) };
+      } catch (error) {
+        if (error.response) return { exists: false };
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      try {
+        await rpc("pin/rm", { arg: key });
+      } catch (error) {
+        // "not pinned" means there is nothing left to remove
+        if (!/not pinned/.test(error.response?.data?.Message || "")) {
+          throw error;
+        }
+      }
+    },
+  };
+};
+
+module.exports = { createProvider };
@@ -0,0 +1,86 @@
+const axios = require("axios");
+const FormData = require("form-data");
+
+const PINATA_API_URL = "https://api.pinata.cloud";
+const PINATA_GATEWAY_URL =
+  process.env.PINATA_GATEWAY_URL || "https://gateway.pinata.cloud/ipfs";
+
+// Pinata's hosted pinning service
+const createProvider = () => {
+  const authHeaders = () => {
+    if (!process.env.PINATA_API_KEY) {
+      console.error("❌ Pinata API key not found in environment variables");
+      throw new Error("IPFS service configuration error");
+    }
+    return { Authorization: `Bearer ${process.env.PINATA_API_KEY}` };
+  };
+
+  return {
+    name: "pinata",
+
+    async put(stream, { fileName, contentType, metadata = {} }) {
+      const formData = new FormData();
+      formData.append("file", stream, { filename: fileName, contentType });
+      formData.append(
+        "pinataMetadata",
+        JSON.stringify({ name: fileName, keyvalues: metadata })
+      );
+
+      const response = await axios.post(
+        `${PINATA_API_URL}/pinning/pinFileToIPFS`,
+        formData,
+        {
+          maxBodyLength: Infinity,
+          headers: { ...formData.getHeaders(), ...authHeaders() },
+        }
+      );
+
+      if (!response.data?.IpfsHash) {
+        console.error("❌ No IPFS hash in Pinata response:", response.data);
+        throw new Error("Failed to upload to IPFS");
+      }
+      return { key: response.data.IpfsHash, size: response.data.PinSize };
+    },
+
+    async get(key, { start, end } = {}) {
+      const headers = {};
+      if (start !== undefined) {
+        headers.Range = `bytes=${start}-${end ?? ""}`;
+      }
+      const response = await axios.get(`${PINATA_GATEWAY_URL}/${key}`, {
+        responseType: "stream",
+        headers,
+      });
+      return {
+        stream: response.data,
+        size: Number(response.headers["content-length"]) || undefined,
+        contentType: response.headers["content-type"],
+        // Gateways may ignore Range and answer 200 with the whole file
+        ranged: start === undefined || response.status === 206,
+      };
+    },
+
+    async stat(key) {
+      const response = await axios.get(`${PINATA_API_URL}/data/pinList`, {
+        params: { hashContains: key, status: "pinned", pageLimit: 1 },
+        headers: authHeaders(),
+        timeout: 5000,
+      });
+      const pin = response.data.rows?.[0];
+      return pin ? { exists: true, size: pin.size } : { exists: false };
+    },
+
+    async delete(key) {
+      try {
+        await axios.delete(`${PINATA_API_URL}/pinning/unpin/${key}`, {
+          headers: authHeaders(),
+        });
+      } catch (error) {
+        // Already unpinned counts as success
+        if (error.response?.status !== 404) throw error;
+      }
+    },
+  };
+};
+
+module.exports = { createProvider };
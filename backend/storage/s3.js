@@ -0,0 +1,91 @@
+const crypto = require("crypto");
+const {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+} = require("@aws-sdk/client-s3");
+const { Upload } = require("@aws-sdk/lib-storage");
+
+// Any S3-compatible object store (AWS S3, MinIO, ...)
+const S3_BUCKET = process.env.S3_BUCKET;
+const S3_PREFIX = process.env.S3_PREFIX || "offline/";
+
+const createProvider = () => {
+  if (!S3_BUCKET) {
+    throw new Error("S3_BUCKET must be set to use the s3 storage provider");
+  }
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || "us-east-1",
+    endpoint: process.env.S3_ENDPOINT, // e.g. http://localhost:9000 for MinIO
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        }
+      : undefined, // Fall back to the SDK's default credential chain
+  });
+
+  return {
+    name: "s3",
+
+    async put(stream, { contentType, metadata = {} }) {
+      const key = `${S3_PREFIX}${crypto.randomUUID()}`;
+      let size = 0;
+      stream.on("data", (chunk) => {
+        size += chunk.length;
+      });
+
+      await new Upload({
+        client,
+        params: {
+          Bucket: S3_BUCKET,
+          Key: key,
+          Body: stream,
+          ContentType: contentType,
+          Metadata: metadata,
+        },
+      }).done();
+      return { key, size };
+    },
+
+    async get(key, { start, end } = {}) {
+      const response = await client.send(
+        new GetObjectCommand({
+          Bucket: S3_BUCKET,
+          Key: key,
+          Range:
+            start !== undefined ? `bytes=${start}-${end ?? ""}` : undefined,
+        })
+      );
+      return {
+        stream: response.Body,
+        size: response.ContentLength,
+        contentType: response.ContentType,
+      };
+    },
+
+    async stat(key) {
+      try {
+        const response = await client.send(
+          new HeadObjectCommand({ Bucket: S3_BUCKET, Key: key })
+        );
+        return { exists: true, size: response.ContentLength };
+      } catch (error) {
+        if (error.$metadata?.httpStatusCode === 404) return { exists: false };
+        throw error;
+      }
+    },
+
+    // S3 deletes are idempotent, a missing key is not an error
+    async delete(key) {
+      await client.send(
+        new DeleteObjectCommand({ Bucket: S3_BUCKET, Key: key })
+      );
+    },
+  };
+};
+
+module.exports = { createProvider };
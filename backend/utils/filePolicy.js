@@ -0,0 +1,140 @@
+const fs = require("fs");
+const { MAX_RESUMABLE_UPLOAD_BYTES } = require("./resumableUploads");
+
+const MB = 1024 * 1024;
+
+/**
+ * What users may share. Every client builds its checks and help text from
+ * this through GET /api/policy, so it is the only list to change.
+ *
+ *   maxFileSize  Largest file per sharing mode: `p2p` (sent directly),
+ *                `offline` (stored until the receiver is back) and
+ *                `singleRequest` (offline, but sent in one request rather
+ *                than as a resumable upload)
+ *   offlineProtection
+ *                How files shared offline are protected. The two options
+ *                exclude each other, because a scanner cannot look inside
+ *                a file only the receiver can decrypt:
+ *                "encrypted" (default) - files are end-to-end encrypted in
+ *                  the sender's browser; storage and the server only see
+ *                  ciphertext, so nothing is scanned for malware and the
+ *                  receiver is warned of that
+ *                "scanned" - files are uploaded as they are, and every one
+ *                  is scanned for malware before delivery
+ *   types        Allowed types; `maxSize` optionally caps one type lower
+ *   roles        Per-role overrides of `maxFileSize` and of type caps,
+ *                e.g. { admin: { maxFileSize: { offline: ... },
+ *                types: { "video/mp4": { maxSize: ... } } } }
+ *
+ * FILE_POLICY_PATH names a JSON file whose top-level keys replace these;
+ * sizes it leaves out of `maxFileSize` keep their defaults.
+ */
+const DEFAULT_POLICY = {
+  maxFileSize: {
+    p2p: 100 * MB,
+    offline: MAX_RESUMABLE_UPLOAD_BYTES,
+    singleRequest: 100 * MB,
+  },
+  offlineProtection: "encrypted",
+  types: [
+    // Documents
+    { mimeType: "application/pdf", extensions: ["pdf"], label: "PDF" },
+    { mimeType: "application/msword", extensions: ["doc"], label: "DOC" },
+    {
+      mimeType:
+        "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      extensions: ["docx"],
+      label: "DOCX",
+    },
+    { mimeType: "text/plain", extensions: ["txt"], label: "TXT" },
+    // Images
+    { mimeType: "image/jpeg", extensions: ["jpg", "jpeg"], label: "JPG" },
+    { mimeType: "image/png", extensions: ["png"], label: "PNG" },
+    { mimeType: "image/gif", extensions: ["gif"], label: "GIF" },
+    // Audio
+    { mimeType: "audio/mpeg", extensions: ["mp3"], label: "MP3" },
+    { mimeType: "audio/wav", extensions: ["wav"], label: "WAV" },
+    // Video
+    { mimeType: "video/mp4", extensions: ["mp4"], label: "MP4" },
+    { mimeType: "video/x-matroska", extensions: ["mkv"], label: "MKV" },
+    // Archives
+    { mimeType: "application/zip", extensions: ["zip"], label: "ZIP" },
+    {
+      mimeType: "application/x-rar-compressed",
+      extensions: ["rar"],
+      label: "RAR",
+    },
+    {
+      mimeType: "application/x-7z-compressed",
+      extensions: ["7z"],
+      label: "7Z",
+    },
+  ],
+  roles: {},
+};
+
+// Fail at startup rather than on the first upload
+const validatePolicy = (policy) => {
+  const { maxFileSize, offlineProtection, types, roles } = policy;
+  if (
+    !(maxFileSize?.p2p > 0) ||
+    !(maxFileSize?.offline > 0) ||
+    !(maxFileSize?.singleRequest > 0) ||
+    !["encrypted", "scanned"].includes(offlineProtection) ||
+    !Array.isArray(types) ||
+    !types.every(
+      (type) =>
+        typeof type.mimeType === "string" &&
+        Array.isArray(type.extensions) &&
+        type.extensions.length > 0
+    ) ||
+    typeof roles !== "object"
+  ) {
+    throw new Error("Invalid file policy");
+  }
+  return policy;
+};
+
+const loadPolicy = () => {
+  const policyPath = process.env.FILE_POLICY_PATH;
+  if (!policyPath) return DEFAULT_POLICY;
+
+  const configured = JSON.parse(fs.readFileSync(policyPath, "utf8"));
+  console.log(`📋 File policy loaded from ${policyPath}`);
+  return validatePolicy({
+    ...DEFAULT_POLICY,
+    ...configured,
+    maxFileSize: { ...DEFAULT_POLICY.maxFileSize, ...configured.maxFileSize },
+  });
+};
+
+const POLICY = loadPolicy();
+
+/**
+ * The policy as it applies to one role, with overrides folded in.
+ * @param {string} role User role
+ * @returns {Object} `{ maxFileSize, offlineProtection, types }`
+ */
+const policyFor = (role) => {
+  const override = POLICY.roles[role] || {};
+  return {
+    maxFileSize: { ...POLICY.maxFileSize, ...override.maxFileSize },
+    offlineProtection: POLICY.offlineProtection,
+    types: POLICY.types.map((type) => ({
+      label: type.extensions[0].toUpperCase(),
+      ...type,
+      ...override.types?.[type.mimeType],
+    })),
+  };
+};
+
+const isTypeAllowed = (policy, mimeType) =>
+  policy.types.some((type) => type.mimeType === mimeType);
+
+// Largest file of `mimeType` allowed in `mode` (a key of maxFileSize)
+const sizeLimit = (policy, mimeType, mode) => {
+  const type = policy.types.find((t) => t.mimeType === mimeType);
+  return Math.min(policy.maxFileSize[mode], type?.maxSize ?? Infinity);
+};
+
+module.exports = { policyFor, isTypeAllowed, sizeLimit };
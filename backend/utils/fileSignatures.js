@@ -0,0 +1,98 @@
+// Magic bytes of the file types offline sharing accepts. Each part is
+// [offset, hex bytes, optional hex mask] and all parts must match.
+const SIGNATURES = [
+  { type: "application/pdf", parts: [[0, "255044462d"]] }, // %PDF-
+  { type: "application/msword", parts: [[0, "d0cf11e0a1b11ae1"]] }, // OLE2
+  { type: "image/jpeg", parts: [[0, "ffd8ff"]] },
+  { type: "image/png", parts: [[0, "89504e470d0a1a0a"]] },
+  { type: "image/gif", parts: [[0, "474946383761"]] }, // GIF87a
+  { type: "image/gif", parts: [[0, "474946383961"]] }, // GIF89a
+  { type: "audio/mpeg", parts: [[0, "494433"]] }, // ID3 tag
+  { type: "audio/mpeg", parts: [[0, "ffe0", "ffe0"]] }, // MPEG frame sync
+  {
+    type: "audio/wav",
+    parts: [
+      [0, "52494646"],
+      [8, "57415645"],
+    ],
+  }, // RIFF WAVE
+  { type: "video/mp4", parts: [[4, "66747970"]] }, // ftyp box
+  { type: "video/x-matroska", parts: [[0, "1a45dfa3"]] }, // EBML
+  { type: "application/zip", parts: [[0, "504b0304"]] },
+  { type: "application/zip", parts: [[0, "504b0506"]] }, // Empty archive
+  { type: "application/x-rar-compressed", parts: [[0, "526172211a07"]] },
+  { type: "application/x-7z-compressed", parts: [[0, "377abcaf271c"]] },
+];
+
+// Types stored inside another format's container
+const CONTAINER_TYPES = {
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document":
+    "application/zip",
+};
+
+// How much of the start of a file detection looks at
+const SNIFF_BYTES = 512;
+
+// Served to browsers with the file policy, so they check files against the
+// same table before sending and after decrypting
+const SIGNATURE_TABLE = {
+  signatures: SIGNATURES,
+  containerTypes: CONTAINER_TYPES,
+  sniffBytes: SNIFF_BYTES,
+};
+
+const hexBytes = (hex) => hex.match(/../g).map((byte) => parseInt(byte, 16));
+
+const matches = (bytes, [offset, hex, mask]) => {
+  const expected = hexBytes(hex);
+  const bits = mask ? hexBytes(mask) : expected.map(() => 0xff);
+  return (
+    bytes.length >= offset + expected.length &&
+    expected.every((byte, i) => (bytes[offset + i] & bits[i]) === byte)
+  );
+};
+
+// Text has no signature: accept valid UTF-8 without NUL bytes
+const looksLikeText = (bytes) => {
+  if (bytes.includes(0)) return false;
+  try {
+    // stream: a character cut off at the end of the sample is fine
+    new TextDecoder("utf-8", { fatal: true }).decode(bytes, { stream: true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Identify a file from its first bytes.
+ * @param {Uint8Array} bytes Start of the file (SNIFF_BYTES is enough)
+ * @returns {string|null} MIME type, or null for anything unrecognized
+ */
+const detectFileType = (bytes) => {
+  const signature = SIGNATURES.find(({ parts }) =>
+    parts.every((part) => matches(bytes, part))
+  );
+  if (signature) return signature.type;
+  return looksLikeText(bytes) ? "text/plain" : null;
+};
+
+// Whether detection can confirm or refute a declared type
+const isVerifiableType = (type) =>
+  type === "text/plain" ||
+  !!CONTAINER_TYPES[type] ||
+  SIGNATURES.some((signature) => signature.type === type);
+
+// Whether content detected as `detectedType` may be sent as `declaredType`
+const isTypeCompatible = (declaredType, detectedType) =>
+  !!detectedType &&
+  (detectedType === declaredType ||
+    detectedType === CONTAINER_TYPES[declaredType]);
+
+module.exports = {
+  detectFileType,
+  isVerifiableType,
+  isTypeCompatible,
+  SNIFF_BYTES,
+  SIGNATURE_TABLE,
+};
@@ -0,0 +1,480 @@
+// Settings a job gets unless it is added with its own
+const DEFAULT_JOB_OPTIONS = {
+  attempts: 5,
+  backoffMs: 30 * 1000, // Delay before the first retry; doubles after each
+  maxBackoffMs: 60 * 60 * 1000, // 1 hour
+  timeoutMs: 60 * 1000, // 1 minute
+};
+const COMPLETED_JOB_TTL_SECONDS = 24 * 60 * 60; // Kept a day for inspection
+const DEAD_JOB_TTL_SECONDS = 7 * 24 * 60 * 60; // Long enough to retry by hand
+const MAX_DEAD_JOBS = 1000; // Older entries fall off the dead-letter list
+// Workers sleep until the next job is due. Jobs added by another process
+// do not wake them, so they check at least this often.
+const MAX_IDLE_MS = 60 * 1000;
+const ERROR_RETRY_MS = 5 * 1000;
+// How long past its timeout an active job may go unreported before it is
+// treated as abandoned by a worker that died
+const STALLED_GRACE_MS = 30 * 1000;
+
+const JobState = {
+  WAITING: "waiting", // Scheduled, possibly for later (see `runAt`)
+  ACTIVE: "active",
+  COMPLETED: "completed",
+  DEAD: "dead", // Out of attempts; listed in the dead-letter list
+};
+
+// Create a job, or leave an existing one be. A job that is still queued is
+// only moved forward when `promote` is set; one that is running is flagged
+// so a retry does not wait out the backoff.
+const ADD_SCRIPT = `
+local state = redis.call("HGET", KEYS[1], "state")
+if state == "waiting" then
+  if ARGV[3] == "1" then
+    local runAt = tonumber(redis.call("ZSCORE", KEYS[2], ARGV[1]))
+    if runAt and runAt > tonumber(ARGV[2]) then
+      redis.call("ZADD", KEYS[2], ARGV[2], ARGV[1])
+      redis.call("HSET", KEYS[1], "runAt", ARGV[2])
+    end
+  end
+  return 0
+end
+if state == "active" then
+  if ARGV[3] == "1" then
+    redis.call("HSET", KEYS[1], "promotedAt", ARGV[2])
+  end
+  return 0
+end
+redis.call("DEL", KEYS[1])
+redis.call("LREM", KEYS[3], 0, ARGV[1])
+redis.call("HSET", KEYS[1], unpack(ARGV, 4))
+redis.call("ZADD", KEYS[2], ARGV[2], ARGV[1])
+return 1
+`;
+
+// Move the next due job from the schedule to the active set, with the
+// deadline it has to report back by
+const CLAIM_SCRIPT = `
+local ids = redis.call("ZRANGEBYSCORE", KEYS[1], "-inf", ARGV[1], "LIMIT", 0, 1)
+if #ids == 0 then
+  return false
+end
+local id = ids[1]
+local jobKey = ARGV[2] .. id
+redis.call("ZREM", KEYS[1], id)
+local timeoutMs = tonumber(redis.call("HGET", jobKey, "timeoutMs"))
+if not timeoutMs then
+  return false
+end
+redis.call("ZADD", KEYS[2], tonumber(ARGV[1]) + timeoutMs, id)
+redis.call("HSET", jobKey, "state", "active", "startedAt", ARGV[1])
+redis.call("HINCRBY", jobKey, "attempts", 1)
+redis.call("HDEL", jobKey, "promotedAt")
+return id
+`;
+
+// Error for a job that is not done yet but did nothing wrong (the receiver
+// is offline, say). It is retried with backoff like any failure, but logged
+// as a deferral.
+const deferJob = (reason) =>
+  Object.assign(new Error(reason), { deferred: true });
+
+const NUMBER_FIELDS = [
+  "attempts",
+  "maxAttempts",
+  "backoffMs",
+  "maxBackoffMs",
+  "timeoutMs",
+];
+const DATE_FIELDS = [
+  "createdAt",
+  "runAt",
+  "startedAt",
+  "finishedAt",
+  "promotedAt",
+];
+
+// Redis hashes hold strings only
+const parseJob = (hash) => {
+  if (!hash || !hash.id) return null;
+  const job = { ...hash, data: JSON.parse(hash.data || "null") };
+  NUMBER_FIELDS.forEach((field) => (job[field] = Number(hash[field])));
+  DATE_FIELDS.forEach(
+    (field) => (job[field] = hash[field] ? new Date(Number(hash[field])) : null)
+  );
+  return job;
+};
+
+/**
+ * A durable job queue kept in Redis. Jobs survive restarts, retry with
+ * exponential backoff, are failed when they overrun their timeout, and go to
+ * a dead-letter list once out of attempts. Any number of processes may work
+ * the same queue; a job added by one is picked up by the others within
+ * MAX_IDLE_MS.
+ * @param {Object} redis ioredis connection
+ * @param {string} name Queue name, used as the key prefix
+ */
+const createJobQueue = (redis, name) => {
+  const prefix = `jobs:${name}`;
+  const keys = {
+    job: (id) => `${prefix}:job:${id}`,
+    scheduled: `${prefix}:scheduled`, // Waiting job ids scored by runAt
+    active: `${prefix}:active`, // Running job ids scored by deadline
+    dead: `${prefix}:dead`, // Dead-lettered job ids, newest first
+  };
+
+  let handlers = {};
+  let onDead = null;
+  let running = false;
+  let working = false;
+  let rerun = false; // Work was asked for while a pass was under way
+  let timer = null;
+  let wakeAt = Infinity;
+
+  const getJob = async (id) => parseJob(await redis.hgetall(keys.job(id)));
+
+  /**
+   * Queue a job. Adding an id that is already waiting or running is a no-op,
+   * so ids double as deduplication keys.
+   * @param {string} type Handler to run the job with
+   * @param {Object} data Passed to the handler
+   * @param {Object} options `jobId`, `delayMs`, `promote` (bring a queued
+   * job with this id forward to `delayMs`), plus any of DEFAULT_JOB_OPTIONS
+   * @returns {Promise<boolean>} Whether a new job was created
+   */
+  const add = async (type, data, options = {}) => {
+    const { jobId, delayMs = 0, promote = false, ...overrides } = options;
+    const settings = { ...DEFAULT_JOB_OPTIONS, ...overrides };
+    const id =
+      jobId || `${type}:${Date.now()}:${Math.random().toString(36).slice(2)}`;
+    const now = Date.now();
+    const runAt = now + Math.max(delayMs, 0);
+
+    const fields = {
+      id,
+      type,
+      data: JSON.stringify(data),
+      state: JobState.WAITING,
+      attempts: 0,
+      maxAttempts: settings.attempts,
+      backoffMs: settings.backoffMs,
+      maxBackoffMs: settings.maxBackoffMs,
+      timeoutMs: settings.timeoutMs,
+      createdAt: now,
+      runAt,
+    };
+    const created = await redis.eval(
+      ADD_SCRIPT,
+      3,
+      keys.job(id),
+      keys.scheduled,
+      keys.dead,
+      id,
+      runAt,
+      promote ? "1" : "0",
+      ...Object.entries(fields).flat()
+    );
+
+    wakeUp(runAt);
+    return created === 1;
+  };
+
+  const claim = () =>
+    redis.eval(
+      CLAIM_SCRIPT,
+      2,
+      keys.scheduled,
+      keys.active,
+      Date.now(),
+      `${prefix}:job:`
+    );
+
+  // Whoever removes a job from the active set owns reporting its outcome,
+  // so a late worker and the stalled-job check never both do
+  const release = async (id) => (await redis.zrem(keys.active, id)) === 1;
+
+  const complete = async (job) => {
+    if (!(await release(job.id))) return;
+    await redis
+      .multi()
+      .hset(keys.job(job.id), {
+        state: JobState.COMPLETED,
+        finishedAt: Date.now(),
+      })
+      .expire(keys.job(job.id), COMPLETED_JOB_TTL_SECONDS)
+      .exec();
+  };
+
+  const fail = async (job, error) => {
+    if (!(await release(job.id))) return;
+    const reason = error.message || String(error);
+
+    if (job.attempts >= job.maxAttempts) {
+      await redis
+        .multi()
+        .hset(keys.job(job.id), {
+          state: JobState.DEAD,
+          lastError: reason,
+          finishedAt: Date.now(),
+        })
+        .lpush(keys.dead, job.id)
+        .ltrim(keys.dead, 0, MAX_DEAD_JOBS - 1)
+        .expire(keys.job(job.id), DEAD_JOB_TTL_SECONDS)
+        .exec();
+      console.error(
+        `☠️ Job ${job.id} moved to the dead-letter list after ${job.attempts} attempts: ${reason}`
+      );
+      if (onDead) {
+        try {
+          await onDead({ ...job, state: JobState.DEAD, lastError: reason });
+        } catch (hookError) {
+          console.error(`❌ Error handling dead job ${job.id}:`, hookError);
+        }
+      }
+      return;
+    }
+
+    // A promotion that arrived while the job ran skips the backoff
+    const backoff = Math.min(
+      job.backoffMs * 2 ** (job.attempts - 1),
+      job.maxBackoffMs
+    );
+    const promotedAt = Number(await redis.hget(keys.job(job.id), "promotedAt"));
+    const runAt = promotedAt || Date.now() + backoff;
+
+    await redis
+      .multi()
+      .hset(keys.job(job.id), {
+        state: JobState.WAITING,
+        lastError: reason,
+        runAt,
+      })
+      .hdel(keys.job(job.id), "promotedAt")
+      .zadd(keys.scheduled, runAt, job.id)
+      .exec();
+
+    const retryIn = Math.round((runAt - Date.now()) / 1000);
+    const summary = `${job.id} (attempt ${job.attempts}/${job.maxAttempts}): ${reason}; retrying in ${retryIn}s`;
+    if (error.deferred) {
+      console.log(`⏳ Job ${summary}`);
+    } else {
+      console.error(`🔁 Job failed ${summary}`);
+    }
+  };
+
+  const run = async (id) => {
+    const job = await getJob(id);
+    if (!job) {
+      await redis.zrem(keys.active, id);
+      return;
+    }
+
+    const handler = handlers[job.type];
+    let timeout;
+    try {
+      if (!handler) {
+        throw new Error(`No handler for job type ${job.type}`);
+      }
+      // The handler is not interrupted, so it must cope with running on
+      // after its job was failed and possibly retried
+      await Promise.race([
+        handler(job.data, job),
+        new Promise((_, reject) => {
+          timeout = setTimeout(
+            () => reject(new Error(`Timed out after ${job.timeoutMs}ms`)),
+            job.timeoutMs
+          );
+        }),
+      ]);
+      await complete(job);
+    } catch (error) {
+      await fail(job, error);
+    } finally {
+      clearTimeout(timeout);
+    }
+  };
+
+  // Fail active jobs whose worker stopped reporting, e.g. after a crash
+  const recoverStalled = async () => {
+    const ids = await redis.zrangebyscore(
+      keys.active,
+      "-inf",
+      Date.now() - STALLED_GRACE_MS
+    );
+    for (const id of ids) {
+      const job = await getJob(id);
+      if (job) {
+        await fail(job, new Error("Worker stopped before finishing"));
+      } else {
+        await redis.zrem(keys.active, id);
+      }
+    }
+  };
+
+  // Work the queue at `at`, unless a pass is already set to run sooner
+  const wakeUp = (at) => {
+    if (!running || at >= wakeAt) return;
+    clearTimeout(timer);
+    wakeAt = at;
+    timer = setTimeout(() => {
+      timer = null;
+      wakeAt = Infinity;
+      work();
+    }, Math.max(at - Date.now(), 0));
+  };
+
+  // Sleep until the next job is due or the next running job overruns
+  const scheduleNextPass = async () => {
+    const [[, runAt], [, deadline]] = await Promise.all([
+      redis.zrange(keys.scheduled, 0, 0, "WITHSCORES"),
+      redis.zrange(keys.active, 0, 0, "WITHSCORES"),
+    ]);
+    wakeUp(
+      Math.min(
+        runAt ? Number(runAt) : Infinity,
+        deadline ? Number(deadline) + STALLED_GRACE_MS : Infinity,
+        Date.now() + MAX_IDLE_MS
+      )
+    );
+  };
+
+  // Run due jobs one at a time until none are left
+  const work = async () => {
+    if (!running) return;
+    if (working) {
+      rerun = true;
+      return;
+    }
+    working = true;
+    rerun = false;
+    try {
+      await recoverStalled();
+      let id;
+      while (running && (id = await claim())) {
+        await run(id);
+      }
+      await scheduleNextPass();
+    } catch (error) {
+      console.error(`⚠️ Error working the ${name} queue:`, error.message);
+      wakeUp(Date.now() + ERROR_RETRY_MS);
+    } finally {
+      working = false;
+      if (rerun) setImmediate(work);
+    }
+  };
+
+  /**
+   * Start working the queue in this process.
+   * @param {Object} jobHandlers Async handler per job type, called with the
+   * job's data and the job. Throwing retries the job.
+   * @param {Object} options Optional `onDead(job)`, called once a job is
+   * dead-lettered
+   */
+  const start = (jobHandlers, options = {}) => {
+    handlers = jobHandlers;
+    onDead = options.onDead || null;
+    if (!running) {
+      running = true;
+      wakeUp(Date.now());
+    }
+  };
+
+  const stop = () => {
+    running = false;
+    clearTimeout(timer);
+    timer = null;
+    wakeAt = Infinity;
+  };
+
+  /**
+   * Job counts by state. Waiting jobs that are not due yet count as delayed.
+   */
+  const getCounts = async () => {
+    const now = Date.now();
+    const [waiting, delayed, active, dead] = await Promise.all([
+      redis.zcount(keys.scheduled, "-inf", now),
+      redis.zcount(keys.scheduled, `(${now}`, "+inf"),
+      redis.zcard(keys.active),
+      redis.llen(keys.dead),
+    ]);
+    return { waiting, delayed, active, dead };
+  };
+
+  /**
+   * Jobs in one state, soonest (or for dead jobs, latest) first
+   * @param {string} state "waiting", "delayed", "active" or "dead"
+   */
+  const listJobs = async (state, { limit = 50 } = {}) => {
+    const now = Date.now();
+    let ids;
+    if (state === JobState.DEAD) {
+      ids = await redis.lrange(keys.dead, 0, limit - 1);
+    } else if (state === JobState.ACTIVE) {
+      ids = await redis.zrange(keys.active, 0, limit - 1);
+    } else if (state === JobState.WAITING) {
+      ids = await redis.zrangebyscore(
+        keys.scheduled,
+        "-inf",
+        now,
+        "LIMIT",
+        0,
+        limit
+      );
+    } else if (state === "delayed") {
+      ids = await redis.zrangebyscore(
+        keys.scheduled,
+        `(${now}`,
+        "+inf",
+        "LIMIT",
+        0,
+        limit
+      );
+    } else {
+      return [];
+    }
+    const jobs = await Promise.all(ids.map(getJob));
+    return jobs.filter(Boolean);
+  };
+
+  /**
+   * Give a dead-lettered job a fresh set of attempts
+   * @returns {Promise<boolean>} False if the job is not dead
+   */
+  const retryDead = async (id) => {
+    const job = await getJob(id);
+    if (!job || job.state !== JobState.DEAD) return false;
+
+    const now = Date.now();
+    await redis
+      .multi()
+      .lrem(keys.dead, 0, id)
+      .hset(keys.job(id), {
+        state: JobState.WAITING,
+        attempts: 0,
+        runAt: now,
+      })
+      .hdel(keys.job(id), "finishedAt")
+      .persist(keys.job(id))
+      .zadd(keys.scheduled, now, id)
+      .exec();
+    wakeUp(now);
+    return true;
+  };
+
+  return {
+    name,
+    add,
+    start,
+    stop,
+    getJob,
+    getCounts,
+    listJobs,
+    retryDead,
+  };
+};
+
+module.exports = {
+  createJobQueue,
+  deferJob,
+  JobState,
+  DEFAULT_JOB_OPTIONS,
+};
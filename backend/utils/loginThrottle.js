@@ -0,0 +1,187 @@
+const crypto = require("crypto");
+
+// Throttle settings, overridable through the environment
+const LOGIN_WINDOW_SECONDS =
+  parseInt(process.env.LOGIN_WINDOW_SECONDS, 10) || 15 * 60; // 15 minutes
+const LOGIN_DELAY_AFTER = parseInt(process.env.LOGIN_DELAY_AFTER, 10) || 3;
+const LOGIN_MAX_DELAY_SECONDS =
+  parseInt(process.env.LOGIN_MAX_DELAY_SECONDS, 10) || 60;
+const LOGIN_LOCK_AFTER = parseInt(process.env.LOGIN_LOCK_AFTER, 10) || 8;
+const LOGIN_LOCK_SECONDS =
+  parseInt(process.env.LOGIN_LOCK_SECONDS, 10) || 15 * 60; // 15 minutes
+const LOGIN_IP_MAX_FAILURES =
+  parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 50;
+
+// Error codes returned to the client
+const LoginErrorCode = {
+  LOCKED: "ACCOUNT_LOCKED",
+  THROTTLED: "LOGIN_THROTTLED",
+};
+
+const normaliseEmail = (email) => String(email).trim().toLowerCase();
+
+const throttleKeys = (email, ip) => ({
+  emailFailures: `login:failures:email:${normaliseEmail(email)}`,
+  ipFailures: `login:failures:ip:${ip || "unknown"}`,
+  lock: `login:lock:${normaliseEmail(email)}`,
+});
+
+// Drop entries that fell out of the window and return what is left
+const readWindow = async (redis, key, now) => {
+  await redis.zremrangebyscore(key, 0, now - LOGIN_WINDOW_SECONDS * 1000);
+  const [count, newest] = await Promise.all([
+    redis.zcard(key),
+    redis.zrange(key, -1, -1, "WITHSCORES"),
+  ]);
+  return { count, lastFailureAt: newest.length ? Number(newest[1]) : 0 };
+};
+
+// Seconds a client must wait after `count` failures, doubling each time
+const progressiveDelay = (count) => {
+  if (count < LOGIN_DELAY_AFTER) return 0;
+  return Math.min(2 ** (count - LOGIN_DELAY_AFTER), LOGIN_MAX_DELAY_SECONDS);
+};
+
+// Checks the lock and both failure windows, and if the attempt may go ahead
+// counts it as a failure straight away, all in one step. Parallel guesses
+// therefore see each other instead of all passing the check together.
+const BEGIN_ATTEMPT_SCRIPT = `
+local now = tonumber(ARGV[1])
+local windowMs = tonumber(ARGV[2])
+local delayAfter = tonumber(ARGV[3])
+local maxDelay = tonumber(ARGV[4])
+
+local lockTtl = redis.call("PTTL", KEYS[1])
+if lockTtl > 0 then
+  return {"locked", lockTtl}
+end
+
+local function readWindow(key)
+  redis.call("ZREMRANGEBYSCORE", key, 0, now - windowMs)
+  local newest = redis.call("ZRANGE", key, -1, -1, "WITHSCORES")
+  local last = 0
+  if #newest > 0 then
+    last = tonumber(newest[2])
+  end
+  return redis.call("ZCARD", key), last
+end
+
+local function remainingDelay(count, last)
+  if count < delayAfter then
+    return 0
+  end
+  local delayMs = math.min(2 ^ (count - delayAfter), maxDelay) * 1000
+  return math.max(math.ceil((last + delayMs - now) / 1000), 0)
+end
+
+local emailCount, emailLast = readWindow(KEYS[2])
+local ipCount, ipLast = readWindow(KEYS[3])
+
+if ipCount >= tonumber(ARGV[5]) then
+  return {"throttled", math.ceil((ipLast + windowMs - now) / 1000)}
+end
+
+local retryAfter = math.max(
+  remainingDelay(emailCount, emailLast),
+  remainingDelay(ipCount, ipLast)
+)
+if retryAfter > 0 then
+  return {"throttled", retryAfter}
+end
+
+for i = 2, 3 do
+  redis.call("ZADD", KEYS[i], now, ARGV[6])
+  redis.call("EXPIRE", KEYS[i], ARGV[7])
+end
+return {"ok", 0}
+`;
+
+/**
+ * Decide whether a login attempt may be evaluated at all, and if so count
+ * it as a failure until `releaseLoginAttempt` says otherwise.
+ * @returns {Promise<Object>} `{ ok: true, attempt }`,
+ * `{ ok: false, code: LOCKED, lockedUntil }` or
+ * `{ ok: false, code: THROTTLED, retryAfter }`
+ */
+const beginLoginAttempt = async (redis, { email, ip }) => {
+  const keys = throttleKeys(email, ip);
+  const now = Date.now();
+  const attempt = `${now}-${crypto.randomBytes(4).toString("hex")}`;
+
+  const [outcome, value] = await redis.eval(
+    BEGIN_ATTEMPT_SCRIPT,
+    3,
+    keys.lock,
+    keys.emailFailures,
+    keys.ipFailures,
+    now,
+    LOGIN_WINDOW_SECONDS * 1000,
+    LOGIN_DELAY_AFTER,
+    LOGIN_MAX_DELAY_SECONDS,
+    LOGIN_IP_MAX_FAILURES,
+    attempt,
+    LOGIN_WINDOW_SECONDS
+  );
+
+  if (outcome === "locked") {
+    return {
+      ok: false,
+      code: LoginErrorCode.LOCKED,
+      lockedUntil: new Date(now + value),
+    };
+  }
+  if (outcome === "throttled") {
+    return { ok: false, code: LoginErrorCode.THROTTLED, retryAfter: value };
+  }
+  return { ok: true, attempt };
+};
+
+// Stop counting an attempt that turned out to have the right credentials
+const releaseLoginAttempt = async (redis, { email, ip, attempt }) => {
+  const keys = throttleKeys(email, ip);
+  await redis
+    .multi()
+    .zrem(keys.emailFailures, attempt)
+    .zrem(keys.ipFailures, attempt)
+    .exec();
+};
+
+/**
+ * Settle a failed attempt, which `beginLoginAttempt` already counted, and
+ * lock the account once LOGIN_LOCK_AFTER failures land inside the window.
+ * @returns {Promise<Object>} `{ locked, lockedUntil, retryAfter }`
+ */
+const recordLoginFailure = async (redis, { email, ip }) => {
+  const keys = throttleKeys(email, ip);
+  const now = Date.now();
+
+  const emailWindow = await readWindow(redis, keys.emailFailures, now);
+  if (emailWindow.count >= LOGIN_LOCK_AFTER) {
+    await redis
+      .multi()
+      .setex(keys.lock, LOGIN_LOCK_SECONDS, now)
+      .del(keys.emailFailures)
+      .exec();
+    return {
+      locked: true,
+      lockedUntil: new Date(now + LOGIN_LOCK_SECONDS * 1000),
+    };
+  }
+
+  return { locked: false, retryAfter: progressiveDelay(emailWindow.count) };
+};
+
+// Forget the failures for an email after a successful login
+const clearLoginFailures = async (redis, { email }) => {
+  const keys = throttleKeys(email);
+  await redis.del(keys.emailFailures);
+};
+
+module.exports = {
+  beginLoginAttempt,
+  releaseLoginAttempt,
+  recordLoginFailure,
+  clearLoginFailures,
+  LoginErrorCode,
+  LOGIN_LOCK_SECONDS,
+};
@@ -0,0 +1,143 @@
+const crypto = require("crypto");
+
+// OTP settings, overridable through the environment
+const OTP_LENGTH = parseInt(process.env.OTP_LENGTH, 10) || 6;
+const OTP_TTL_SECONDS = parseInt(process.env.OTP_TTL_SECONDS, 10) || 300; // 5 minutes
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5;
+const OTP_EMAIL_COOLDOWN_SECONDS =
+  parseInt(process.env.OTP_EMAIL_COOLDOWN_SECONDS, 10) || 60;
+const OTP_IP_COOLDOWN_SECONDS =
+  parseInt(process.env.OTP_IP_COOLDOWN_SECONDS, 10) || 20;
+
+// Error codes returned to the client so the UI can react to each case
+const OtpErrorCode = {
+  COOLDOWN: "OTP_COOLDOWN",
+  EXPIRED: "OTP_EXPIRED",
+  INVALID: "OTP_INVALID",
+  ATTEMPTS_EXCEEDED: "OTP_ATTEMPTS_EXCEEDED",
+};
+
+const normaliseEmail = (email) => String(email).trim().toLowerCase();
+
+// All OTP keys live under otp:<purpose>: so different flows never collide
+const otpKeys = (purpose, email, ip) => {
+  const base = `otp:${purpose}`;
+  const address = normaliseEmail(email);
+  return {
+    code: `${base}:code:${address}`,
+    attempts: `${base}:attempts:${address}`,
+    emailCooldown: `${base}:cooldown:email:${address}`,
+    ipCooldown: `${base}:cooldown:ip:${ip || "unknown"}`,
+  };
+};
+
+// Mask an email for logs, e.g. "jo***@example.com"
+const redactEmail = (email) => {
+  const [local, domain] = String(email).split("@");
+  if (!domain) return "***";
+  return `${local.slice(0, 2)}***@${domain}`;
+};
+
+// Generate a numeric code of OTP_LENGTH digits
+const generateCode = () => {
+  let code = "";
+  for (let i = 0; i < OTP_LENGTH; i++) {
+    code += crypto.randomInt(0, 10).toString();
+  }
+  return code;
+};
+
+// Constant-time comparison of two codes
+const codesMatch = (provided, stored) => {
+  const a = Buffer.from(String(provided));
+  const b = Buffer.from(String(stored));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Create and store a new OTP, enforcing the per-email and per-IP cooldowns.
+ * @returns {Promise<Object>} `{ ok: true, otp }` or `{ ok: false, code, retryAfter }`
+ */
+const createOtp = async (redis, { purpose, email, ip }) => {
+  const keys = otpKeys(purpose, email, ip);
+
+  const [emailTtl, ipTtl] = await Promise.all([
+    redis.ttl(keys.emailCooldown),
+    redis.ttl(keys.ipCooldown),
+  ]);
+  const retryAfter = Math.max(emailTtl, ipTtl);
+  if (retryAfter > 0) {
+    return { ok: false, code: OtpErrorCode.COOLDOWN, retryAfter };
+  }
+
+  const otp = generateCode();
+  await redis
+    .multi()
+    .setex(keys.code, OTP_TTL_SECONDS, otp)
+    .setex(keys.attempts, OTP_TTL_SECONDS, 0)
+    .setex(keys.emailCooldown, OTP_EMAIL_COOLDOWN_SECONDS, 1)
+    .setex(keys.ipCooldown, OTP_IP_COOLDOWN_SECONDS, 1)
+    .exec();
+
+  return { ok: true, otp };
+};
+
+/**
+ * Check a submitted code. Every submission counts against OTP_MAX_ATTEMPTS
+ * before it is compared, so concurrent guesses cannot get past the limit,
+ * and the stored code is burned once the limit is reached.
+ * @returns {Promise<Object>} `{ ok: true }` or `{ ok: false, code, attemptsRemaining }`
+ */
+const verifyOtp = async (redis, { purpose, email, otp }) => {
+  const keys = otpKeys(purpose, email);
+
+  const [[, attempts], [, storedOtp]] = await redis
+    .multi()
+    .incr(keys.attempts)
+    .get(keys.code)
+    .exec();
+  if (!storedOtp) {
+    await redis.del(keys.attempts);
+    return { ok: false, code: OtpErrorCode.EXPIRED };
+  }
+  if (attempts > OTP_MAX_ATTEMPTS) {
+    await redis.del(keys.code, keys.attempts);
+    return { ok: false, code: OtpErrorCode.ATTEMPTS_EXCEEDED };
+  }
+
+  if (codesMatch(otp, storedOtp)) {
+    // Only the request that takes the code off Redis gets to use it
+    const consumed = await redis.getdel(keys.code);
+    await redis.del(keys.attempts);
+    if (consumed !== storedOtp) {
+      return { ok: false, code: OtpErrorCode.EXPIRED };
+    }
+    return { ok: true };
+  }
+
+  const attemptsRemaining = Math.max(OTP_MAX_ATTEMPTS - attempts, 0);
+  if (attemptsRemaining === 0) {
+    await redis.del(keys.code, keys.attempts);
+    return { ok: false, code: OtpErrorCode.ATTEMPTS_EXCEEDED };
+  }
+
+  return { ok: false, code: OtpErrorCode.INVALID, attemptsRemaining };
+};
+
+// Remove a code and its email cooldown, e.g. when the email could not be sent
+const discardOtp = async (redis, { purpose, email }) => {
+  const keys = otpKeys(purpose, email);
+  await redis.del(keys.code, keys.attempts, keys.emailCooldown);
+};
+
+module.exports = {
+  createOtp,
+  verifyOtp,
+  discardOtp,
+  redactEmail,
+  OtpErrorCode,
+  OTP_LENGTH,
+  OTP_TTL_SECONDS,
+  OTP_MAX_ATTEMPTS,
+  OTP_EMAIL_COOLDOWN_SECONDS,
+};
@@ -0,0 +1,40 @@
+const bcrypt = require("bcryptjs");
+
+// Cost factor for bcrypt hashing
+const SALT_ROUNDS = 12;
+
+// bcrypt hashes always start with $2a$, $2b$ or $2y$
+const BCRYPT_PATTERN = /^\$2[aby]\$\d{2}\$/;
+
+// Check whether a stored password is already hashed
+const isPasswordHashed = (storedPassword) =>
+  typeof storedPassword === "string" && BCRYPT_PATTERN.test(storedPassword);
+
+// Hash a plaintext password with a per-password salt
+const hashPassword = async (plainPassword) =>
+  bcrypt.hash(plainPassword, SALT_ROUNDS);
+
+/**
+ * Compare a plaintext password against the stored value.
+ * Legacy records created before hashing was introduced still hold the
+ * plaintext password, so `needsRehash` tells the caller to upgrade them.
+ */
+const verifyPassword = async (plainPassword, storedPassword) => {
+  if (!storedPassword) {
+    return { match: false, needsRehash: false };
+  }
+
+  if (isPasswordHashed(storedPassword)) {
+    const match = await bcrypt.compare(plainPassword, storedPassword);
+    return { match, needsRehash: false };
+  }
+
+  const match = plainPassword === storedPassword;
+  return { match, needsRehash: match };
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  isPasswordHashed,
+};
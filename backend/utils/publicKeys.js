@@ -0,0 +1,91 @@
+const crypto = require("crypto");
+
+// Browsers register P-256 public keys: ECDH for end-to-end encryption and
+// ECDSA for signing the files they send
+const MAX_DEVICE_KEYS = parseInt(process.env.MAX_DEVICE_KEYS, 10) || 10;
+
+const BASE64URL_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Check a public key JWK and keep only its public members, so a private
+ * key sent by mistake is never stored.
+ * @returns {Object|null} The cleaned JWK, or null if it is not usable
+ */
+const normalizePublicKey = (jwk) => {
+  if (!jwk || typeof jwk !== "object") return null;
+  if (jwk.kty !== "EC" || jwk.crv !== "P-256") return null;
+  if (
+    !BASE64URL_PATTERN.test(jwk.x || "") ||
+    !BASE64URL_PATTERN.test(jwk.y || "")
+  ) {
+    return null;
+  }
+
+  const publicJwk = { kty: "EC", crv: "P-256", x: jwk.x, y: jwk.y };
+  try {
+    // Rejects coordinates that are not a point on the curve
+    crypto.createPublicKey({ key: publicJwk, format: "jwk" });
+  } catch (error) {
+    return null;
+  }
+  return publicJwk;
+};
+
+// RFC 7638 thumbprint, used as a stable id for the key
+const keyThumbprint = ({ crv, kty, x, y }) =>
+  crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ crv, kty, x, y }))
+    .digest("base64url");
+
+// Longest manifest accepted alongside an upload
+const MAX_MANIFEST_LENGTH = 4096;
+
+/**
+ * Check a file manifest signed in the browser with WebCrypto ECDSA P-256 /
+ * SHA-256 (raw r||s signature, base64url encoded).
+ * @param {string} manifest The exact JSON text that was signed
+ * @param {string} signature base64url signature
+ * @param {Array} signingKeys The claimed sender's registered signing keys
+ * @returns {Object|null} The parsed manifest, or null if it does not verify
+ */
+const verifyManifest = (manifest, signature, signingKeys) => {
+  if (typeof manifest !== "string" || typeof signature !== "string") {
+    return null;
+  }
+  if (manifest.length > MAX_MANIFEST_LENGTH) return null;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(manifest);
+  } catch (error) {
+    return null;
+  }
+  const signingKey = signingKeys.find((key) => key.keyId === parsed?.keyId);
+  if (!signingKey) return null;
+
+  try {
+    const valid = crypto.verify(
+      "sha256",
+      Buffer.from(manifest),
+      {
+        key: crypto.createPublicKey({
+          key: signingKey.publicKey,
+          format: "jwk",
+        }),
+        dsaEncoding: "ieee-p1363",
+      },
+      Buffer.from(signature, "base64url")
+    );
+    return valid ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  normalizePublicKey,
+  keyThumbprint,
+  verifyManifest,
+  MAX_DEVICE_KEYS,
+};
@@ -0,0 +1,181 @@
+const mongoose = require("mongoose");
+const MessageQueue = require("../models/MessageQueue");
+const User = require("../models/Users");
+
+const MB = 1024 * 1024;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Per-user limits on offline sharing: bytes held in storage at once, and
+// files queued in any rolling 24 hours
+const STORAGE_QUOTA_BYTES =
+  (parseInt(process.env.STORAGE_QUOTA_MB, 10) || 1024) * MB;
+const DAILY_FILE_QUOTA = parseInt(process.env.DAILY_FILE_QUOTA, 10) || 50;
+
+// A reservation outlives its upload only if the server died mid-upload
+const RESERVATION_TTL = 60 * 60 * 1000; // 1 hour
+const MAX_RESERVE_ATTEMPTS = 5;
+
+const QuotaErrorCode = {
+  STORAGE: "STORAGE_QUOTA_EXCEEDED",
+  DAILY_FILES: "DAILY_FILE_QUOTA_EXCEEDED",
+  BUSY: "QUOTA_BUSY",
+};
+
+// Every peer ID the user has sent from, so rotating it does not reset usage
+const senderPeerIds = (user) => [
+  user.peerId,
+  ...(user.peerIdHistory || []).map((entry) => entry.peerId),
+];
+
+/**
+ * What a user's queued files currently cost them. Content stops counting
+ * once retention (or a recall) has released it from storage.
+ * @param {Object} user User document
+ * @returns {Promise<Object>} Bytes held and files sent today, with limits
+ */
+const getUsage = async (user, now = Date.now()) => {
+  const senders = { $in: senderPeerIds(user) };
+  const since = new Date(now - DAY);
+
+  const [[held], recent] = await Promise.all([
+    MessageQueue.aggregate([
+      { $match: { senderPeerId: senders, contentRemovedAt: null } },
+      {
+        $group: {
+          _id: null,
+          bytes: { $sum: "$fileSize" },
+          files: { $sum: 1 },
+        },
+      },
+    ]),
+    MessageQueue.find({ senderPeerId: senders, createdAt: { $gte: since } })
+      .select("createdAt")
+      .sort({ createdAt: 1 })
+      .lean(),
+  ]);
+
+  return {
+    storage: {
+      usedBytes: held?.bytes || 0,
+      limitBytes: STORAGE_QUOTA_BYTES,
+      files: held?.files || 0,
+    },
+    dailyFiles: {
+      used: recent.length,
+      limit: DAILY_FILE_QUOTA,
+      // When the oldest file in the window stops counting
+      resetsAt: recent.length
+        ? new Date(recent[0].createdAt.getTime() + DAY)
+        : null,
+    },
+  };
+};
+
+/**
+ * Check whether one more file of `size` bytes fits the user's quotas.
+ * @param {Object} user User document
+ * @param {number} size Bytes about to be stored (0 when not known yet)
+ * @param {Array} reservations Live reservations of uploads in progress,
+ * which count as used
+ * @returns {Promise<Object>} `{ ok: true, usage }` or
+ * `{ ok: false, code, message, usage }`
+ */
+const checkQuota = async (user, size = 0, reservations = []) => {
+  const usage = await getUsage(user);
+  const reservedBytes = reservations.reduce((sum, r) => sum + r.bytes, 0);
+
+  if (usage.dailyFiles.used + reservations.length >= usage.dailyFiles.limit) {
+    return {
+      ok: false,
+      code: QuotaErrorCode.DAILY_FILES,
+      message: `You can send at most ${DAILY_FILE_QUOTA} files per day`,
+      usage,
+    };
+  }
+  if (
+    usage.storage.usedBytes + reservedBytes + size >
+    usage.storage.limitBytes
+  ) {
+    return {
+      ok: false,
+      code: QuotaErrorCode.STORAGE,
+      message: `This file would exceed your ${Math.round(
+        STORAGE_QUOTA_BYTES / MB
+      )}MB storage quota. Recall undelivered files or wait for delivered ones to be cleaned up`,
+      usage,
+    };
+  }
+
+  return { ok: true, usage };
+};
+
+/**
+ * Hold quota for a file of at most `size` bytes until it is queued, so
+ * concurrent uploads cannot all pass the check before any of them is
+ * counted. The write only lands if no other reservation changed since the
+ * check read them; otherwise the check runs again.
+ * @param {Object} user User document
+ * @param {number} size Upper bound of the bytes about to be stored
+ * @param {Object} options `ttlMs`: how long the reservation holds if it is
+ * never released
+ * @returns {Promise<Object>} `{ ok: true, reservation }` or the failed
+ * `checkQuota` result
+ */
+const reserveQuota = async (user, size, { ttlMs = RESERVATION_TTL } = {}) => {
+  for (let attempt = 0; attempt < MAX_RESERVE_ATTEMPTS; attempt++) {
+    const current = await User.findById(user._id)
+      .select("quotaReservations quotaVersion")
+      .lean();
+    const now = Date.now();
+    const live = (current?.quotaReservations || []).filter(
+      (reservation) => reservation.expiresAt.getTime() > now
+    );
+
+    const quota = await checkQuota(user, size, live);
+    if (!quota.ok) return quota;
+
+    const reservation = {
+      _id: new mongoose.Types.ObjectId(),
+      bytes: size,
+      expiresAt: new Date(now + ttlMs),
+    };
+    const { modifiedCount } = await User.updateOne(
+      // Documents from before reservations have no version yet
+      {
+        _id: user._id,
+        quotaVersion: current?.quotaVersion || { $in: [0, null] },
+      },
+      {
+        $set: { quotaReservations: [...live, reservation] },
+        $inc: { quotaVersion: 1 },
+      }
+    );
+    if (modifiedCount) return { ok: true, reservation };
+  }
+
+  return {
+    ok: false,
+    code: QuotaErrorCode.BUSY,
+    message: "Too many uploads at once. Please try again",
+  };
+};
+
+// Give back a reservation once its file is queued (and so counted) or failed
+const releaseQuota = (user, reservation) =>
+  User.updateOne(
+    { _id: user._id },
+    {
+      $pull: { quotaReservations: { _id: reservation._id } },
+      $inc: { quotaVersion: 1 },
+    }
+  );
+
+module.exports = {
+  getUsage,
+  checkQuota,
+  reserveQuota,
+  releaseQuota,
+  QuotaErrorCode,
+  STORAGE_QUOTA_BYTES,
+  DAILY_FILE_QUOTA,
+};
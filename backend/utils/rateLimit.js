@@ -0,0 +1,24 @@
+/**
+ * Fixed-window limiter: allow `limit` hits per `windowSeconds` for `key`.
+ * @returns {Promise<Object>} `{ ok: true, remaining }` or
+ * `{ ok: false, retryAfter }` once the window is used up
+ */
+const consumeRateLimit = async (redis, { key, limit, windowSeconds }) => {
+  const redisKey = `ratelimit:${key}`;
+  // The window's key is created with its expiry in the same transaction
+  // that counts the hit, so it can never be left without one
+  const [, [, count], [, ttl]] = await redis
+    .multi()
+    .set(redisKey, 0, "EX", windowSeconds, "NX")
+    .incr(redisKey)
+    .ttl(redisKey)
+    .exec();
+
+  if (count > limit) {
+    return { ok: false, retryAfter: ttl > 0 ? ttl : windowSeconds };
+  }
+
+  return { ok: true, remaining: limit - count };
+};
+
+module.exports = { consumeRateLimit };
@@ -0,0 +1,48 @@
+const crypto = require("crypto");
+
+// Redis key prefix and lifetime for registration tickets
+const TICKET_PREFIX = "registration-ticket:";
+const TICKET_TTL_SECONDS = 15 * 60; // 15 minutes
+
+const ticketKey = (ticket) => `${TICKET_PREFIX}${ticket}`;
+
+// Normalise emails so the ticket binding is not case sensitive
+const normaliseEmail = (email) => String(email).trim().toLowerCase();
+
+/**
+ * Issue a single-use ticket proving that `email` passed OTP verification.
+ * @returns {Promise<string>} The opaque ticket to hand to the client
+ */
+const issueRegistrationTicket = async (redis, email) => {
+  const ticket = crypto.randomBytes(32).toString("hex");
+  await redis.setex(
+    ticketKey(ticket),
+    TICKET_TTL_SECONDS,
+    normaliseEmail(email)
+  );
+  return ticket;
+};
+
+// Check a ticket belongs to `email` without consuming it
+const isRegistrationTicketValid = async (redis, ticket, email) => {
+  if (!ticket) return false;
+  const boundEmail = await redis.get(ticketKey(ticket));
+  return boundEmail === normaliseEmail(email);
+};
+
+/**
+ * Atomically consume a ticket. Only the first caller gets `true`,
+ * so a ticket can never register two accounts.
+ */
+const consumeRegistrationTicket = async (redis, ticket, email) => {
+  if (!ticket) return false;
+  const boundEmail = await redis.getdel(ticketKey(ticket));
+  return boundEmail === normaliseEmail(email);
+};
+
+module.exports = {
+  issueRegistrationTicket,
+  isRegistrationTicketValid,
+  consumeRegistrationTicket,
+  TICKET_TTL_SECONDS,
+};
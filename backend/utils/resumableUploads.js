@@ -0,0 +1,234 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const { createUploadMeter } = require("./streamUpload");
+const { detectFileType, SNIFF_BYTES } = require("./fileSignatures");
+
+// Resumable upload settings, overridable through the environment
+const UPLOAD_STAGING_DIR =
+  process.env.UPLOAD_STAGING_DIR ||
+  path.join(os.tmpdir(), "blockshare-uploads");
+const UPLOAD_SESSION_TTL_SECONDS =
+  parseInt(process.env.UPLOAD_SESSION_TTL_SECONDS, 10) || 24 * 60 * 60; // 1 day
+const UPLOAD_CHUNK_SIZE =
+  parseInt(process.env.UPLOAD_CHUNK_SIZE, 10) || 5 * 1024 * 1024; // 5MB
+const MAX_CHUNK_BYTES = UPLOAD_CHUNK_SIZE * 4;
+const MAX_RESUMABLE_UPLOAD_BYTES =
+  parseInt(process.env.MAX_RESUMABLE_UPLOAD_BYTES, 10) ||
+  2 * 1024 * 1024 * 1024; // 2GB
+const UPLOAD_LOCK_MS = 10 * 60 * 1000; // Longest a single chunk may take
+
+// Error codes returned to the client
+const UploadErrorCode = {
+  OFFSET_MISMATCH: "UPLOAD_OFFSET_MISMATCH",
+  BUSY: "UPLOAD_BUSY",
+  INCOMPLETE: "UPLOAD_INCOMPLETE",
+};
+
+const ID_PATTERN = /^[a-f0-9]{32}$/;
+
+// Delete a lock only if it still holds the caller's token
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+  return redis.call("DEL", KEYS[1])
+end
+return 0
+`;
+
+const sessionKey = (uploadId) => `upload:session:${uploadId}`;
+const lockKey = (uploadId) => `upload:lock:${uploadId}`;
+const stagingPath = (uploadId) =>
+  path.join(UPLOAD_STAGING_DIR, `${uploadId}.part`);
+
+// Bytes received so far: the staged file is the source of truth
+const stagedSize = async (uploadId) => {
+  try {
+    return (await fs.promises.stat(stagingPath(uploadId))).size;
+  } catch (error) {
+    if (error.code === "ENOENT") return 0;
+    throw error;
+  }
+};
+
+/**
+ * Start a new upload session for a file of `size` bytes.
+ * @returns {Promise<Object>} The session, including its `uploadId`
+ */
+const createUploadSession = async (redis, details) => {
+  await fs.promises.mkdir(UPLOAD_STAGING_DIR, { recursive: true });
+
+  const session = {
+    ...details,
+    uploadId: crypto.randomBytes(16).toString("hex"),
+    createdAt: new Date().toISOString(),
+  };
+  await fs.promises.writeFile(stagingPath(session.uploadId), "");
+  await redis.setex(
+    sessionKey(session.uploadId),
+    UPLOAD_SESSION_TTL_SECONDS,
+    JSON.stringify(session)
+  );
+  return { ...session, offset: 0 };
+};
+
+// Load a session with its current offset, or null if it is unknown/expired
+const getUploadSession = async (redis, uploadId) => {
+  if (!ID_PATTERN.test(String(uploadId))) return null;
+  const stored = await redis.get(sessionKey(uploadId));
+  if (!stored) return null;
+  return { ...JSON.parse(stored), offset: await stagedSize(uploadId) };
+};
+
+/**
+ * Run `task` while holding the session's lock so two requests never
+ * write to the same upload at once.
+ * @returns {Promise<Object>} `{ ok: false, code: BUSY }` if the lock is taken,
+ * otherwise whatever `task` returns
+ */
+const withUploadLock = async (redis, uploadId, task) => {
+  // The token makes sure a request only ever releases its own lock, even
+  // when it outlived the TTL and someone else took the lock since
+  const token = crypto.randomBytes(16).toString("hex");
+  const acquired = await redis.set(
+    lockKey(uploadId),
+    token,
+    "PX",
+    UPLOAD_LOCK_MS,
+    "NX"
+  );
+  if (!acquired) {
+    return { ok: false, code: UploadErrorCode.BUSY };
+  }
+  try {
+    return await task();
+  } finally {
+    await redis.eval(RELEASE_LOCK_SCRIPT, 1, lockKey(uploadId), token);
+  }
+};
+
+/**
+ * Append a chunk that starts at `offset`. Whatever arrives before a dropped
+ * connection is kept, so the client can resume from the new offset.
+ * @returns {Promise<Object>} `{ ok: true, offset }` or
+ * `{ ok: false, code, offset }` when the client is out of sync
+ */
+const appendUploadChunk = (redis, session, { offset, stream }) =>
+  withUploadLock(redis, session.uploadId, async () => {
+    const current = await stagedSize(session.uploadId);
+    if (offset !== current) {
+      stream.resume();
+      return {
+        ok: false,
+        code: UploadErrorCode.OFFSET_MISMATCH,
+        offset: current,
+      };
+    }
+
+    const meter = createUploadMeter(
+      Math.min(session.size - current, MAX_CHUNK_BYTES)
+    );
+    try {
+      await pipeline(
+        stream,
+        meter,
+        fs.createWriteStream(stagingPath(session.uploadId), { flags: "a" })
+      );
+    } catch (error) {
+      throw meter.failure || error;
+    } finally {
+      await redis.expire(
+        sessionKey(session.uploadId),
+        UPLOAD_SESSION_TTL_SECONDS
+      );
+    }
+
+    return { ok: true, offset: await stagedSize(session.uploadId) };
+  });
+
+// SHA-256 of everything staged so far, and the type its first bytes show
+const inspectStagedFile = async (uploadId) => {
+  const hash = crypto.createHash("sha256");
+  let head = Buffer.alloc(0);
+  for await (const chunk of fs.createReadStream(stagingPath(uploadId))) {
+    if (head.length < SNIFF_BYTES) {
+      head = Buffer.concat([head, chunk]).subarray(0, SNIFF_BYTES);
+    }
+    hash.update(chunk);
+  }
+  return { sha256: hash.digest("hex"), detectedType: detectFileType(head) };
+};
+
+/**
+ * Hand the fully received file to
+ * `store(openStream, { size, sha256, detectedType })` and then drop the
+ * session. The hash and sniffed type are known before anything is stored,
+ * so `store` can refuse the file or skip content the storage backend
+ * already holds.
+ * @returns {Promise<Object>} `{ ok: true, size, sha256, detectedType, result }` or
+ * `{ ok: false, code, offset }`
+ */
+const finalizeUpload = (redis, session, store) =>
+  withUploadLock(redis, session.uploadId, async () => {
+    const offset = await stagedSize(session.uploadId);
+    if (offset !== session.size) {
+      return { ok: false, code: UploadErrorCode.INCOMPLETE, offset };
+    }
+
+    const digest = {
+      size: offset,
+      ...(await inspectStagedFile(session.uploadId)),
+    };
+    const result = await store(
+      () => fs.createReadStream(stagingPath(session.uploadId)),
+      digest
+    );
+
+    await discardUpload(redis, session.uploadId);
+    return { ok: true, ...digest, result };
+  });
+
+// Forget a session and its staged bytes
+const discardUpload = async (redis, uploadId) => {
+  await redis.del(sessionKey(uploadId));
+  await fs.promises.unlink(stagingPath(uploadId)).catch((error) => {
+    if (error.code !== "ENOENT") throw error;
+  });
+};
+
+// Remove staged files whose session expired without being finalized
+const sweepStaleUploads = async () => {
+  let names;
+  try {
+    names = await fs.promises.readdir(UPLOAD_STAGING_DIR);
+  } catch (error) {
+    if (error.code === "ENOENT") return 0;
+    throw error;
+  }
+
+  const cutoff = Date.now() - UPLOAD_SESSION_TTL_SECONDS * 1000;
+  let removed = 0;
+  for (const name of names) {
+    const filePath = path.join(UPLOAD_STAGING_DIR, name);
+    const { mtimeMs } = await fs.promises.stat(filePath);
+    if (mtimeMs < cutoff) {
+      await fs.promises.unlink(filePath);
+      removed++;
+    }
+  }
+  return removed;
+};
+
+module.exports = {
+  createUploadSession,
+  getUploadSession,
+  appendUploadChunk,
+  finalizeUpload,
+  discardUpload,
+  sweepStaleUploads,
+  UploadErrorCode,
+  UPLOAD_CHUNK_SIZE,
+  UPLOAD_SESSION_TTL_SECONDS,
+  MAX_RESUMABLE_UPLOAD_BYTES,
+};
@@ -0,0 +1,117 @@
+const StoredContent = require("../models/StoredContent");
+const MessageQueue = require("../models/MessageQueue");
+const { getStorageProvider } = require("../storage");
+
+/**
+ * Take a reference on content the provider already holds, so it does not
+ * have to be stored again.
+ * @returns {Promise<Object|null>} `{ key, storedContentId, reused }`, or
+ * null when the content is not stored yet
+ */
+const reuseContent = async (storageProvider, sha256) => {
+  const content = await StoredContent.findOneAndUpdate(
+    { storageProvider, sha256, refCount: { $gt: 0 } },
+    { $inc: { refCount: 1 } },
+    { new: true }
+  );
+  if (!content) return null;
+
+  console.log(`♻️ Reusing stored content ${content.key}`);
+  return { key: content.key, storedContentId: content._id, reused: true };
+};
+
+/**
+ * Take a reference on content that was just written. When the same bytes
+ * were stored earlier, that object is kept and the new copy is deleted.
+ * @param {Object} provider Storage provider the content was written to
+ * @returns {Promise<Object>} `{ key, storedContentId, reused }`
+ */
+const acquireContent = async (provider, { key, sha256, size }) => {
+  const content = await StoredContent.findOneAndUpdate(
+    { storageProvider: provider.name, sha256 },
+    { $inc: { refCount: 1 }, $setOnInsert: { key, size } },
+    { upsert: true, new: true }
+  );
+
+  // Content-addressed providers hand back the same key for the same bytes
+  if (content.key !== key) {
+    console.log(`♻️ Reusing stored content ${content.key} instead of ${key}`);
+    await provider
+      .delete(key)
+      .catch((error) =>
+        console.error(`❌ Failed to delete duplicate ${key}:`, error.message)
+      );
+  }
+  return {
+    key: content.key,
+    storedContentId: content._id,
+    reused: content.refCount > 1,
+  };
+};
+
+/**
+ * Whether any live message still points at a stored object. Messages
+ * queued before reference counting have no StoredContent entry, so they
+ * are looked up directly.
+ * @param {Array} excludeIds Messages that are letting go of the object
+ */
+const isContentInUse = async (storageProvider, key, excludeIds = []) =>
+  !!(
+    (await StoredContent.exists({ storageProvider, key })) ||
+    (await MessageQueue.exists({
+      _id: { $nin: excludeIds },
+      storageProvider,
+      ipfsHash: key,
+      contentRemovedAt: null,
+    }))
+  );
+
+/**
+ * Drop a message's reference to its stored content and delete the object
+ * from the storage backend once nothing uses it. Safe to retry.
+ * @param {Object} message MessageQueue document
+ * @param {Object} options `excludeIds`: other messages being removed
+ * together with this one
+ * @returns {Promise<boolean>} Whether the object was deleted
+ */
+const releaseStoredContent = async (message, { excludeIds = [] } = {}) => {
+  const { storageProvider, ipfsHash: key, storedContentId } = message;
+
+  if (storedContentId) {
+    // Clear the link first so a retry cannot drop the reference twice
+    const { modifiedCount } = await MessageQueue.updateOne(
+      { _id: message._id, storedContentId },
+      { storedContentId: null }
+    );
+    if (modifiedCount) {
+      const content = await StoredContent.findByIdAndUpdate(
+        storedContentId,
+        { $inc: { refCount: -1 } },
+        { new: true }
+      );
+      if (content && content.refCount > 0) return false;
+
+      // A concurrent upload may have taken a new reference in between
+      const { deletedCount } = await StoredContent.deleteOne({
+        _id: storedContentId,
+        refCount: { $lte: 0 },
+      });
+      if (content && !deletedCount) return false;
+    }
+  }
+
+  if (
+    await isContentInUse(storageProvider, key, [message._id, ...excludeIds])
+  ) {
+    return false;
+  }
+  await getStorageProvider(storageProvider).delete(key);
+  return true;
+};
+
+module.exports = {
+  reuseContent,
+  acquireContent,
+  isContentInUse,
+  releaseStoredContent,
+};
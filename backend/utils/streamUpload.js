@@ -0,0 +1,226 @@
+const crypto = require("crypto");
+const { Transform } = require("stream");
+const busboy = require("busboy");
+const {
+  detectFileType,
+  isVerifiableType,
+  isTypeCompatible,
+  SNIFF_BYTES,
+} = require("./fileSignatures");
+
+// Errors carry the HTTP status and code the route should answer with
+const uploadError = (status, code, message) =>
+  Object.assign(new Error(message), { status, code });
+
+const describeLimit = (bytes) =>
+  bytes >= 1024 * 1024
+    ? `${Math.round(bytes / 1024 / 1024)}MB`
+    : `${Math.round(bytes / 1024)}KB`;
+
+const fileTooLarge = (maxBytes) =>
+  uploadError(
+    413,
+    "FILE_TOO_LARGE",
+    `File exceeds the ${describeLimit(maxBytes)} limit`
+  );
+
+const typeMismatch = () =>
+  uploadError(
+    400,
+    "FILE_TYPE_MISMATCH",
+    "File contents do not match its declared type"
+  );
+
+/**
+ * Pass-through stream that hashes and counts the bytes flowing through it
+ * and fails as soon as more than `maxBytes` have been seen. The first bytes
+ * are sniffed for the real file type, and when `expectedType` is one that
+ * can be recognized the stream fails if the contents are something else.
+ * End-to-end encrypted uploads are octet-stream, which is never checked
+ * here; their receiver checks the decrypted file instead.
+ */
+const createUploadMeter = (maxBytes, { expectedType } = {}) => {
+  const hash = crypto.createHash("sha256");
+  let size = 0;
+  let head = Buffer.alloc(0);
+  let detectedType;
+
+  // Returns the failure for a mismatch once enough bytes are in
+  const sniff = () => {
+    detectedType = detectFileType(head);
+    if (
+      expectedType &&
+      isVerifiableType(expectedType) &&
+      !isTypeCompatible(expectedType, detectedType)
+    ) {
+      meter.failure = typeMismatch();
+      return meter.failure;
+    }
+    return null;
+  };
+
+  const meter = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        meter.failure = fileTooLarge(maxBytes);
+        return callback(meter.failure);
+      }
+      if (detectedType === undefined) {
+        head = Buffer.concat([head, chunk]).subarray(0, SNIFF_BYTES);
+        if (head.length === SNIFF_BYTES) {
+          const failure = sniff();
+          if (failure) return callback(failure);
+        }
+      }
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+    // Files shorter than the sniffing window are checked at the end
+    flush(callback) {
+      callback(detectedType === undefined ? sniff() : null);
+    },
+  });
+
+  meter.digest = () => ({ size, sha256: hash.digest("hex"), detectedType });
+  return meter;
+};
+
+/**
+ * Read a multipart request with a single `file` part without buffering it
+ * to disk. Text fields sent before the file are collected first, then
+ * `onFile({ fields, stream, fileName, mimeType })` is called with a metered
+ * stream that it must consume (e.g. by handing it to a storage provider).
+ * Contents that do not match the part's declared type fail the stream.
+ * `fileSizeLimit({ fields, mimeType })` may set a lower cap for the file
+ * than `maxFileSize`, once its fields and type are known.
+ *
+ * @returns {Promise<Object>} `{ fields, file: { fileName, mimeType, size, sha256, detectedType, result } }`
+ * where `result` is whatever `onFile` resolved with. Rejects with an error
+ * carrying `status` and `code`; the request stream is drained and any
+ * partial upload is aborted.
+ */
+const receiveUpload = (
+  req,
+  { maxFileSize, allowedTypes, fileSizeLimit, onFile }
+) =>
+  new Promise((resolve, reject) => {
+    // Refuse obviously oversized bodies before reading them
+    const declaredLength = parseInt(req.headers["content-length"], 10);
+    if (declaredLength > maxFileSize + 64 * 1024) {
+      req.resume();
+      return reject(fileTooLarge(maxFileSize));
+    }
+
+    let parser;
+    try {
+      parser = busboy({
+        headers: req.headers,
+        limits: { files: 1, fields: 20, fieldSize: 64 * 1024 },
+      });
+    } catch (error) {
+      return reject(
+        uploadError(400, "INVALID_UPLOAD", "Expected a multipart upload")
+      );
+    }
+
+    const fields = {};
+    let settled = false;
+    let filePromise = null;
+    let meter = null;
+
+    const fail = (error) => {
+      if (settled) return;
+      settled = true;
+      if (meter && !meter.destroyed) meter.destroy(error);
+      // Stop parsing but keep reading so the client sees our response
+      req.unpipe(parser);
+      req.resume();
+      reject(error);
+    };
+
+    // A client that disconnects mid-upload aborts the storage write
+    req.on("close", () => {
+      if (!req.complete) {
+        fail(uploadError(400, "UPLOAD_ABORTED", "Upload aborted by client"));
+      }
+    });
+
+    parser.on("field", (name, value) => {
+      fields[name] = value;
+    });
+
+    parser.on("file", (name, stream, { filename, mimeType }) => {
+      if (name !== "file" || filePromise) {
+        stream.resume();
+        return;
+      }
+
+      if (!allowedTypes.includes(mimeType)) {
+        stream.resume();
+        return fail(
+          uploadError(400, "FILE_TYPE_NOT_ALLOWED", "File type not allowed")
+        );
+      }
+
+      const limit = Math.min(
+        maxFileSize,
+        fileSizeLimit ? fileSizeLimit({ fields, mimeType }) : Infinity
+      );
+      meter = createUploadMeter(limit, { expectedType: mimeType });
+      // The limit can trip before onFile attaches a consumer; the failure
+      // is reported through meter.failure below
+      meter.on("error", () => {});
+      stream.on("error", (error) => meter.destroy(error));
+      stream.pipe(meter);
+
+      filePromise = Promise.resolve()
+        .then(() =>
+          onFile({
+            fields: { ...fields },
+            stream: meter,
+            fileName: filename,
+            mimeType,
+          })
+        )
+        .then((result) => ({
+          fileName: filename,
+          mimeType,
+          ...meter.digest(),
+          result,
+        }))
+        // Report the size limit rather than whatever the consumer saw
+        .catch((error) => {
+          throw meter.failure || error;
+        });
+      filePromise.catch(fail);
+    });
+
+    parser.on("close", async () => {
+      if (!filePromise) {
+        return fail(uploadError(400, "NO_FILE", "No file uploaded"));
+      }
+      try {
+        const file = await filePromise;
+        if (!settled) {
+          settled = true;
+          resolve({ fields, file });
+        }
+      } catch (error) {
+        fail(error);
+      }
+    });
+
+    parser.on("error", () =>
+      fail(uploadError(400, "INVALID_UPLOAD", "Malformed multipart upload"))
+    );
+
+    req.pipe(parser);
+  });
+
+module.exports = {
+  receiveUpload,
+  createUploadMeter,
+  uploadError,
+  typeMismatch,
+};
@@ -0,0 +1,60 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+const TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "7d";
+const CHALLENGE_EXPIRES_IN = "5m";
+
+// Fall back to a per-process secret so the server still starts without config.
+// Tokens signed with it stop working on restart, so set JWT_SECRET in production.
+let JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) {
+  console.error(
+    "❌ JWT_SECRET not set, using a temporary secret. Sessions will not survive a restart."
+  );
+  JWT_SECRET = crypto.randomBytes(32).toString("hex");
+}
+
+// Issue a signed access token for a user document
+const issueAccessToken = (user) =>
+  jwt.sign(
+    {
+      sub: user._id.toString(),
+      peerId: user.peerId,
+      username: user.username,
+      ver: user.tokenVersion || 0,
+    },
+    JWT_SECRET,
+    { expiresIn: TOKEN_EXPIRES_IN }
+  );
+
+// Verify an access token and return its payload (throws if invalid or expired)
+const verifyAccessToken = (token) => {
+  const payload = jwt.verify(token, JWT_SECRET);
+  if (payload.typ === "2fa") {
+    throw new Error("Two-factor challenge tokens cannot be used as sessions");
+  }
+  return payload;
+};
+
+// Short-lived token proving the password step of a 2FA login passed
+const issueChallengeToken = (user) =>
+  jwt.sign({ sub: user._id.toString(), typ: "2fa" }, JWT_SECRET, {
+    expiresIn: CHALLENGE_EXPIRES_IN,
+  });
+
+// Verify a 2FA challenge token and return its payload
+const verifyChallengeToken = (token) => {
+  const payload = jwt.verify(token, JWT_SECRET);
+  if (payload.typ !== "2fa") {
+    throw new Error("Not a two-factor challenge token");
+  }
+  return payload;
+};
+
+module.exports = {
+  issueAccessToken,
+  verifyAccessToken,
+  issueChallengeToken,
+  verifyChallengeToken,
+  TOKEN_EXPIRES_IN,
+};
@@ -0,0 +1,108 @@
+const crypto = require("crypto");
+
+// RFC 6238 defaults understood by every authenticator app
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_WINDOW = 1; // Accept one step of clock drift either way
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "BlockShare";
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, "0");
+  }
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = "";
+  for (const char of input.replace(/=+$/, "").toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    bits += index.toString(2).padStart(5, "0");
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// Create a new random shared secret (160 bits, base32 encoded)
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+// HOTP value for a given counter (RFC 4226)
+const hotp = (secret, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(message)
+    .digest();
+  const offset = digest[digest.length - 1] & 0xf;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, "0");
+};
+
+const currentStep = (now = Date.now()) =>
+  Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * Check a TOTP code against the secret.
+ * @param {number} [lastUsedStep] Step of the last accepted code; codes from
+ * that step or earlier are refused so a code cannot be replayed
+ * @returns {number|null} The matched time step, or null if the code is wrong
+ */
+const verifyTotp = (secret, code, lastUsedStep = -1) => {
+  if (!secret || !/^\d+$/.test(String(code || ""))) return null;
+
+  const step = currentStep();
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+    const candidate = step + drift;
+    if (candidate <= lastUsedStep) continue;
+    const expected = Buffer.from(hotp(secret, candidate));
+    const provided = Buffer.from(String(code));
+    if (
+      expected.length === provided.length &&
+      crypto.timingSafeEqual(expected, provided)
+    ) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+// otpauth:// URI that authenticator apps read from the QR code
+const buildOtpauthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// One-time recovery codes in the form xxxxx-xxxxx
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+module.exports = {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hotp,
+};
@@ -12,7 +12,10 @@ import OfflineDataSharing from "./components/OfflineDataSharing";
 import AboutUs from "./components/AboutUs";
 import ContactUs from "./components/ContactUs";
 import ProtectedRoute from "./components/ProtectedRoute";
+import ForgotPassword from "./components/ForgotPassword";
+import Settings from "./components/Settings";
 import offlineMessageManager from "./helpers/offlineMessages.jsx";
+import { beaconPayload, getAuthToken } from "./helpers/auth";
 
 const { Content } = Layout;
 
@@ -54,7 +57,7 @@ function App() {
                 console.log("📊 Marking user as offline:", currentPeerId);
 
                 // Use sendBeacon for more reliable delivery during tab close
-                const data = JSON.stringify({ peerId: currentPeerId });
+                const data = beaconPayload({ peerId: currentPeerId });
                 const success = navigator.sendBeacon(
                   `${
                     import.meta.env.VITE_BACKEND_URL || "http://localhost:5000"
@@ -78,6 +81,10 @@ function App() {
                     false
                   ); // false makes it synchronous
                   xhr.setRequestHeader("Content-Type", "application/json");
+                  xhr.setRequestHeader(
+                    "Authorization",
+                    `Bearer ${getAuthToken()}`
+                  );
                   xhr.send(JSON.stringify({ peerId: currentPeerId }));
 
                   console.log("✅ Used fallback XHR to mark user as offline");
@@ -123,6 +130,15 @@ function App() {
           <Route path="/" element={<Home />} />
           <Route path="/register" element={<Registration />} />
           <Route path="/login" element={<Login />} />
+          <Route path="/forgot-password" element={<ForgotPassword />} />
+          <Route
+            path="/settings"
+            element={
+              <ProtectedRoute>
+                <Settings />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/DataSharing"
             element={
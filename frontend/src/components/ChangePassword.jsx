@@ -0,0 +1,111 @@
+import { useState } from "react";
+import { Form, Input, Button, message, Typography, Card } from "antd";
+import { useNavigate } from "react-router-dom";
+import axios from "axios";
+import { LockOutlined, KeyOutlined } from "@ant-design/icons";
+import { getAuthToken, saveSession } from "../helpers/auth";
+
+const { Title, Text } = Typography;
+const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || "http://localhost:5000";
+
+const ChangePassword = () => {
+  const [form] = Form.useForm();
+  const navigate = useNavigate();
+  const [loading, setLoading] = useState(false);
+
+  const changePassword = async (values) => {
+    try {
+      setLoading(true);
+      const response = await axios.post(`${BACKEND_URL}/api/password/change`, {
+        currentPassword: values.currentPassword,
+        newPassword: values.newPassword,
+      });
+
+      // Other sessions are signed out, this one continues with a new token
+      const userData = JSON.parse(localStorage.getItem("userData") || "{}");
+      saveSession(userData, response.data.token || getAuthToken());
+
+      message.success("Password changed successfully");
+      form.resetFields();
+    } catch (error) {
+      console.error("Change password error:", error);
+      message.error(
+        error.response?.data?.error ||
+          "Failed to change password. Please try again."
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Card style={{ maxWidth: 480, margin: "0 auto 24px", borderRadius: 16 }}>
+      <Title level={2}>
+        <KeyOutlined style={{ marginRight: 12, color: "#1890ff" }} />
+        Change Password
+      </Title>
+      <Text type="secondary" style={{ display: "block", marginBottom: 24 }}>
+        Changing your password signs you out on every other device.
+      </Text>
+
+      <Form form={form} onFinish={changePassword} layout="vertical">
+        <Form.Item
+          name="currentPassword"
+          label="Current password"
+          rules={[{ required: true, message: "Enter your current Password" }]}
+        >
+          <Input.Password
+            prefix={<LockOutlined style={{ color: "#1890ff" }} />}
+            size="large"
+          />
+        </Form.Item>
+        <Form.Item
+          name="newPassword"
+          label="New password"
+          rules={[
+            { required: true, message: "Enter a new Password" },
+            { min: 6, message: "Password must be at least 6 characters" },
+          ]}
+        >
+          <Input.Password
+            prefix={<LockOutlined style={{ color: "#1890ff" }} />}
+            size="large"
+          />
+        </Form.Item>
+        <Form.Item
+          name="confirmPassword"
+          label="Confirm new password"
+          dependencies={["newPassword"]}
+          rules={[
+            { required: true, message: "Confirm your new Password" },
+            ({ getFieldValue }) => ({
+              validator(_, value) {
+                if (!value || getFieldValue("newPassword") === value) {
+                  return Promise.resolve();
+                }
+                return Promise.reject(new Error("Passwords do not match"));
+              },
+            }),
+          ]}
+        >
+          <Input.Password
+            prefix={<LockOutlined style={{ color: "#1890ff" }} />}
+            size="large"
+          />
+        </Form.Item>
+
+        <Button type="primary" htmlType="submit" loading={loading}>
+          Change Password
+        </Button>
+        <Button
+          onClick={() => navigate("/DataSharing")}
+          style={{ marginLeft: 8 }}
+        >
+          Back to Data Sharing
+        </Button>
+      </Form>
+    </Card>
+  );
+};
+
+export default ChangePassword;
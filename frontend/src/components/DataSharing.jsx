@@ -16,56 +16,23 @@ import { useAppDispatch, useAppSelector } from "../store/hooks";
 import { startPeer, stopPeerSession } from "../store/peer/peerActions";
 import * as connectionAction from "../store/connection/connectionActions";
 import { DataType, PeerConnection } from "../helpers/peer";
+import { signManifest } from "../helpers/signing";
 import { useNavigate } from "react-router-dom";
 import axios from "axios";
 import socketManager from "../helpers/socket";
 import offlineMessageManager from "../helpers/offlineMessages.jsx";
 import Chatbot from "./chatbot";
+import { beaconPayload } from "../helpers/auth";
+import { contentMatchesType } from "../helpers/fileSignatures";
+import {
+  checkFile,
+  describeFileTypes,
+  formatSize,
+  useFilePolicy,
+} from "../helpers/filePolicy";
 const { Title, Text } = Typography;
 const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || "http://localhost:5000";
 
-// Allowed file types and their corresponding MIME types
-const ALLOWED_FILE_TYPES = {
-  // Documents
-  pdf: "application/pdf",
-  doc: "application/msword",
-  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
-  txt: "text/plain",
-  // Images
-  jpg: "image/jpeg",
-  jpeg: "image/jpeg",
-  png: "image/png",
-  gif: "image/gif",
-  // Audio
-  mp3: "audio/mpeg",
-  wav: "audio/wav",
-  // Video
-  mp4: "video/mp4",
-  mkv: "video/x-matroska",
-  // Archives
-  zip: "application/zip",
-  rar: "application/x-rar-compressed",
-  "7z": "application/x-7z-compressed",
-};
-
-// Helper function to check file type
-const isFileTypeAllowed = (file) => {
-  const fileType = file.type;
-  const fileExtension = file.name.split(".").pop().toLowerCase();
-
-  // Check if the file extension is in our allowed list
-  if (!ALLOWED_FILE_TYPES[fileExtension]) {
-    return false;
-  }
-
-  // Verify that the MIME type matches what we expect for this extension
-  if (ALLOWED_FILE_TYPES[fileExtension] !== fileType) {
-    return false;
-  }
-
-  return true;
-};
-
 // Right before the DataSharing component declaration
 async function checkUserOfflineStatus(peerId) {
   const BACKEND_URL =
@@ -184,7 +151,7 @@ const DataSharing = () => {
           console.log("📊 Marking user as offline on unmount:", currentPeerId);
 
           // Use sendBeacon with JSON data for more reliable delivery during unmount
-          const data = JSON.stringify({ peerId: currentPeerId });
+          const data = beaconPayload({ peerId: currentPeerId });
           const success = navigator.sendBeacon(
             `${BACKEND_URL}/api/user/mark-offline`,
             data
@@ -388,6 +355,7 @@ const DataSharing = () => {
 
   const [fileList, setFileList] = useState([]);
   const [sendLoading, setSendLoading] = useState(false);
+  const policy = useFilePolicy();
 
   const handleUpload = async () => {
     if (fileList.length === 0) {
@@ -403,10 +371,16 @@ const DataSharing = () => {
       setSendLoading(true);
       const file = fileList[0];
 
-      // Check file type before proceeding
-      if (!isFileTypeAllowed(file)) {
+      // Check file type and size before proceeding
+      const refusal = checkFile(policy, file, "p2p");
+      if (refusal) {
+        throw new Error(refusal);
+      }
+
+      // Extensions are easy to rename; the first bytes are harder to fake
+      if (!(await contentMatchesType(file, file.type))) {
         throw new Error(
-          "File type not supported. Please check the list of supported file types."
+          "File contents do not match its type. It may have been renamed."
         );
       }
 
@@ -424,11 +398,20 @@ const DataSharing = () => {
       const blob = new Blob([file], { type: file.type });
       const arrayBuffer = await blob.arrayBuffer();
 
+      // Signed manifest lets the receiver check who sent the file
+      const signed = await signManifest({
+        data: arrayBuffer,
+        fileName: file.name,
+        size: file.size,
+        receiverPeerId: connection.selectedId,
+      });
+
       await PeerConnection.sendConnection(connection.selectedId, {
         dataType: DataType.FILE,
         file: arrayBuffer,
         fileName: file.name,
         fileType: file.type,
+        ...signed,
       });
 
       // Clear timeout as transfer was successful
@@ -535,30 +518,31 @@ const DataSharing = () => {
               )}
             </Card>
             <Card title="Send File">
-              <Text
-                type="secondary"
-                style={{ display: "block", marginBottom: 16 }}
-              >
-                Supported file types: PDF, DOC, DOCX, TXT, JPG, PNG, GIF, MP3,
-                WAV, MP4, MKV, ZIP, RAR, 7Z
-              </Text>
+              {policy && (
+                <Text
+                  type="secondary"
+                  style={{ display: "block", marginBottom: 16 }}
+                >
+                  Supported file types: {describeFileTypes(policy, "p2p")}. Up
+                  to {formatSize(policy.maxFileSize.p2p)} per file.
+                </Text>
+              )}
               <Upload
                 fileList={fileList}
                 maxCount={1}
                 onRemove={() => setFileList([])}
                 beforeUpload={(file) => {
-                  // Check file size (100MB limit)
-                  const maxSize = 100 * 1024 * 1024;
-                  if (file.size > maxSize) {
-                    message.error("File size must be less than 100MB");
+                  if (!policy) {
+                    message.warning(
+                      "Still loading the file policy. Please try again."
+                    );
                     return false;
                   }
 
-                  // Check file type
-                  if (!isFileTypeAllowed(file)) {
-                    message.error(
-                      "File type not supported. Please check the list of supported file types."
-                    );
+                  // Check file type and size
+                  const refusal = checkFile(policy, file, "p2p");
+                  if (refusal) {
+                    message.error(refusal);
                     return false;
                   }
 
@@ -571,7 +555,7 @@ const DataSharing = () => {
               <Button
                 type="primary"
                 onClick={handleUpload}
-                disabled={fileList.length === 0}
+                disabled={fileList.length === 0 || !policy}
                 loading={sendLoading}
                 style={{ marginTop: 16 }}
               >
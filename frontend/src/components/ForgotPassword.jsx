@@ -0,0 +1,249 @@
+import { useEffect, useState } from "react";
+import { Form, Input, Button, message, Typography, Card } from "antd";
+import { useNavigate } from "react-router-dom";
+import axios from "axios";
+import {
+  MailOutlined,
+  LockOutlined,
+  SafetyCertificateOutlined,
+  KeyOutlined,
+} from "@ant-design/icons";
+import { motion } from "framer-motion";
+
+const { Title, Text } = Typography;
+const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || "http://localhost:5000";
+
+const inputStyle = {
+  borderRadius: 8,
+  height: "50px",
+  boxShadow: "0 2px 5px rgba(0,0,0,0.05)",
+};
+
+const primaryButtonStyle = {
+  height: "50px",
+  borderRadius: 8,
+  background: "linear-gradient(90deg, #1890ff 0%, #096dd9 100%)",
+  border: "none",
+  boxShadow: "0 5px 15px rgba(24, 144, 255, 0.3)",
+};
+
+const ForgotPassword = () => {
+  const [form] = Form.useForm();
+  const navigate = useNavigate();
+  const [codeSent, setCodeSent] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [otpLength, setOtpLength] = useState(6);
+  const [resendCountdown, setResendCountdown] = useState(0);
+
+  // Tick the resend countdown down once per second
+  useEffect(() => {
+    if (resendCountdown <= 0) return;
+    const timer = setTimeout(() => setResendCountdown((s) => s - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [resendCountdown]);
+
+  // Step 1: request a reset code by email
+  const requestCode = async () => {
+    const email = form.getFieldValue("email");
+    if (!email) {
+      message.error("Please enter your email address");
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await axios.post(`${BACKEND_URL}/password/forgot`, {
+        email,
+      });
+      message.success(response.data.message);
+      setOtpLength(response.data.otpLength || 6);
+      setResendCountdown(response.data.resendAvailableIn || 0);
+      setCodeSent(true);
+    } catch (error) {
+      console.error("Password reset request error:", error);
+      if (error.response?.data?.code === "OTP_COOLDOWN") {
+        setResendCountdown(error.response.data.retryAfter);
+      }
+      message.error(
+        error.response?.data?.error ||
+          "Failed to send reset code. Please try again."
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Step 2: submit the code together with the new password
+  const resetPassword = async (values) => {
+    try {
+      setLoading(true);
+      await axios.post(`${BACKEND_URL}/password/reset`, {
+        email: values.email,
+        otp: values.otp,
+        newPassword: values.newPassword,
+      });
+      message.success("Password reset successfully. Please log in.");
+      navigate("/login");
+    } catch (error) {
+      console.error("Password reset error:", error);
+      const { code, attemptsRemaining } = error.response?.data || {};
+      if (code === "OTP_INVALID" && attemptsRemaining !== undefined) {
+        message.error(
+          `Invalid code. ${attemptsRemaining} attempt${
+            attemptsRemaining === 1 ? "" : "s"
+          } remaining.`
+        );
+        return;
+      }
+      if (code === "OTP_ATTEMPTS_EXCEEDED" || code === "OTP_EXPIRED") {
+        form.setFieldValue("otp", undefined);
+      }
+      message.error(
+        error.response?.data?.error ||
+          "Failed to reset password. Please try again."
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.6, ease: "easeOut" }}
+      style={{
+        minHeight: "100vh",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        padding: "20px",
+        background: "linear-gradient(135deg, #f5f7fa 0%, #e4e9f2 100%)",
+      }}
+    >
+      <Card
+        style={{
+          width: "100%",
+          maxWidth: 440,
+          borderRadius: 16,
+          boxShadow: "0 10px 30px rgba(0,0,0,0.1)",
+          border: "none",
+        }}
+      >
+        <Title level={2} style={{ textAlign: "center", color: "#1890ff" }}>
+          <KeyOutlined style={{ marginRight: 12 }} />
+          Reset Password
+        </Title>
+        <Text
+          type="secondary"
+          style={{ display: "block", textAlign: "center", marginBottom: 30 }}
+        >
+          {codeSent
+            ? "Enter the code we emailed you and choose a new password"
+            : "Enter your email and we'll send you a reset code"}
+        </Text>
+
+        <Form form={form} onFinish={resetPassword} layout="vertical">
+          <Form.Item
+            name="email"
+            rules={[
+              { required: true, message: "Enter your Email" },
+              { type: "email", message: "Invalid Email" },
+            ]}
+          >
+            <Input
+              prefix={<MailOutlined style={{ color: "#1890ff" }} />}
+              placeholder="Email"
+              size="large"
+              style={inputStyle}
+              disabled={codeSent}
+            />
+          </Form.Item>
+
+          {!codeSent && (
+            <Button
+              type="primary"
+              block
+              size="large"
+              loading={loading}
+              onClick={requestCode}
+              disabled={resendCountdown > 0}
+              icon={<SafetyCertificateOutlined />}
+              style={primaryButtonStyle}
+            >
+              {resendCountdown > 0
+                ? `Try again in ${resendCountdown}s`
+                : "Send Reset Code"}
+            </Button>
+          )}
+
+          {codeSent && (
+            <>
+              <Form.Item
+                name="otp"
+                rules={[{ required: true, message: "Enter the reset code" }]}
+              >
+                <Input
+                  prefix={
+                    <SafetyCertificateOutlined style={{ color: "#1890ff" }} />
+                  }
+                  maxLength={otpLength}
+                  placeholder="Reset code"
+                  size="large"
+                  style={{ ...inputStyle, letterSpacing: "8px" }}
+                />
+              </Form.Item>
+              <Form.Item
+                name="newPassword"
+                rules={[
+                  { required: true, message: "Enter a new Password" },
+                  {
+                    min: 6,
+                    message: "Password must be at least 6 characters",
+                  },
+                ]}
+              >
+                <Input.Password
+                  prefix={<LockOutlined style={{ color: "#1890ff" }} />}
+                  placeholder="New password"
+                  size="large"
+                  style={inputStyle}
+                />
+              </Form.Item>
+              <Button
+                type="primary"
+                htmlType="submit"
+                block
+                size="large"
+                loading={loading}
+                style={primaryButtonStyle}
+              >
+                Reset Password
+              </Button>
+              <Button
+                type="link"
+                onClick={requestCode}
+                disabled={loading || resendCountdown > 0}
+                style={{ width: "100%", marginTop: 12 }}
+              >
+                {resendCountdown > 0
+                  ? `Resend code in ${resendCountdown}s`
+                  : "Resend Code"}
+              </Button>
+            </>
+          )}
+        </Form>
+
+        <Button
+          type="link"
+          onClick={() => navigate("/login")}
+          style={{ width: "100%", marginTop: 8 }}
+        >
+          Back to Login
+        </Button>
+      </Card>
+    </motion.div>
+  );
+};
+
+export default ForgotPassword;
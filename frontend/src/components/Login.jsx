@@ -18,14 +18,17 @@ import {
   SecurityScanOutlined,
   LoginOutlined,
   UserAddOutlined,
+  SafetyOutlined,
 } from "@ant-design/icons";
 import { motion } from "framer-motion";
+import { saveSession } from "../helpers/auth";
 
 const { Title, Text, Paragraph } = Typography;
 const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || "http://localhost:5000";
 
 const Login = () => {
   const [loading, setLoading] = useState(false);
+  const [challengeToken, setChallengeToken] = useState(null);
   const navigate = useNavigate();
   const [form] = Form.useForm();
 
@@ -61,6 +64,66 @@ const Login = () => {
     }
   }, [navigate]);
 
+  // Store the session returned by /login or /login/2fa
+  const finishLogin = (data) => {
+    try {
+      const peerId = data.peerId;
+      console.log("Fetched Peer ID:", peerId);
+
+      // Store user details in localStorage
+      const userData = {
+        peerId,
+        username: data.username,
+        email: data.email,
+      };
+
+      // Store user data together with the session token
+      saveSession(userData, data.token);
+
+      // Verify the data was stored correctly
+      const storedData = localStorage.getItem("userData");
+      const parsedData = JSON.parse(storedData);
+      console.log("Stored user data:", parsedData);
+
+      if (!parsedData.peerId || !parsedData.username) {
+        throw new Error("Failed to store user data correctly");
+      }
+
+      // Show success message only after everything is complete
+      message.success("Login successful!");
+      navigate("/DataSharing");
+    } catch (peerError) {
+      // Handle peer verification error separately
+      message.error("Error fetching user details. Please try again.");
+      console.error("Peer verification error:", peerError);
+    }
+  };
+
+  const showLoginError = (error, invalidMessage) => {
+    const { code, lockedUntil, retryAfter } = error.response?.data || {};
+    if (code === "ACCOUNT_LOCKED") {
+      message.error(
+        `Too many failed attempts. Your account is locked until ${new Date(
+          lockedUntil
+        ).toLocaleTimeString()}.`,
+        6
+      );
+    } else if (code === "ACCOUNT_DISABLED") {
+      message.error(
+        "This account has been disabled. Please contact support.",
+        6
+      );
+    } else if (code === "LOGIN_THROTTLED") {
+      message.warning(
+        `Too many login attempts. Please wait ${retryAfter} seconds and try again.`
+      );
+    } else if (error.response?.status === 400) {
+      message.error(invalidMessage);
+    } else {
+      message.error("Login failed. Please try again.");
+    }
+  };
+
   const handleLogin = async (values) => {
     try {
       setLoading(true);
@@ -70,50 +133,39 @@ const Login = () => {
         password: values.password,
       });
 
-      if (response.data.success) {
-        try {
-          // Verify user and get Peer ID
-          const peerResponse = await axios.post(`${BACKEND_URL}/verify-user`, {
-            email: values.email,
-          });
-
-          const peerId = peerResponse.data.peerId;
-          console.log("Fetched Peer ID:", peerId);
-
-          // Store user details in localStorage
-          const userData = {
-            peerId,
-            username: response.data.username,
-            email: values.email,
-          };
-
-          // Store as JSON string
-          localStorage.setItem("userData", JSON.stringify(userData));
-          localStorage.setItem("registered", "true");
-
-          // Verify the data was stored correctly
-          const storedData = localStorage.getItem("userData");
-          const parsedData = JSON.parse(storedData);
-          console.log("Stored user data:", parsedData);
-
-          if (!parsedData.peerId || !parsedData.username) {
-            throw new Error("Failed to store user data correctly");
-          }
-
-          // Show success message only after everything is complete
-          message.success("Login successful!");
-          navigate("/DataSharing");
-        } catch (peerError) {
-          // Handle peer verification error separately
-          message.error("Error fetching user details. Please try again.");
-          console.error("Peer verification error:", peerError);
-        }
+      if (response.data.twoFactorRequired) {
+        // Password accepted, now ask for the authenticator code
+        setChallengeToken(response.data.challengeToken);
+      } else if (response.data.success) {
+        finishLogin(response.data);
       } else {
         message.error("Invalid credentials");
       }
     } catch (error) {
       console.error("Login error:", error);
-      message.error("Login failed. Please try again.");
+      showLoginError(error, "Invalid email or password.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleTwoFactor = async (values) => {
+    try {
+      setLoading(true);
+      const response = await axios.post(`${BACKEND_URL}/login/2fa`, {
+        challengeToken,
+        code: values.code.trim(),
+      });
+      finishLogin(response.data);
+    } catch (error) {
+      console.error("Two-factor login error:", error);
+      if (error.response?.status === 401) {
+        // The challenge expired, start over from the password step
+        setChallengeToken(null);
+        message.error(error.response.data.error);
+        return;
+      }
+      showLoginError(error, "Invalid authentication code.");
     } finally {
       setLoading(false);
     }
@@ -184,7 +236,65 @@ const Login = () => {
           </Text>
         </motion.div>
 
-        <Form form={form} onFinish={handleLogin} layout="vertical">
+        {challengeToken && (
+          <Form onFinish={handleTwoFactor} layout="vertical">
+            <Text
+              type="secondary"
+              style={{ display: "block", marginBottom: 16 }}
+            >
+              Enter the 6-digit code from your authenticator app, or one of your
+              recovery codes.
+            </Text>
+            <Form.Item
+              name="code"
+              rules={[{ required: true, message: "Enter your code" }]}
+            >
+              <Input
+                prefix={<SafetyOutlined style={{ color: "#1890ff" }} />}
+                placeholder="Authentication code"
+                size="large"
+                autoFocus
+                style={{
+                  borderRadius: 8,
+                  height: "50px",
+                  boxShadow: "0 2px 5px rgba(0,0,0,0.05)",
+                  letterSpacing: "4px",
+                }}
+              />
+            </Form.Item>
+            <Button
+              type="primary"
+              htmlType="submit"
+              loading={loading}
+              block
+              size="large"
+              icon={<LoginOutlined />}
+              style={{
+                height: "50px",
+                borderRadius: 8,
+                background: "linear-gradient(90deg, #1890ff 0%, #096dd9 100%)",
+                border: "none",
+                boxShadow: "0 5px 15px rgba(24, 144, 255, 0.3)",
+              }}
+            >
+              Verify
+            </Button>
+            <Button
+              type="link"
+              onClick={() => setChallengeToken(null)}
+              style={{ width: "100%", marginTop: 8, marginBottom: 16 }}
+            >
+              Back to password
+            </Button>
+          </Form>
+        )}
+
+        <Form
+          form={form}
+          onFinish={handleLogin}
+          layout="vertical"
+          hidden={!!challengeToken}
+        >
           <motion.div variants={itemVariants}>
             <Form.Item
               name="email"
@@ -234,6 +344,19 @@ const Login = () => {
             </Form.Item>
           </motion.div>
 
+          <motion.div
+            variants={itemVariants}
+            style={{ textAlign: "right", marginTop: -12, marginBottom: 16 }}
+          >
+            <Button
+              type="link"
+              onClick={() => navigate("/forgot-password")}
+              style={{ padding: 0 }}
+            >
+              Forgot password?
+            </Button>
+          </motion.div>
+
           <motion.div
             variants={itemVariants}
             style={{
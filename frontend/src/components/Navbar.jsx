@@ -9,6 +9,7 @@ import {
   ShareAltOutlined,
   InfoCircleOutlined,
   MailOutlined,
+  SettingOutlined,
 } from "@ant-design/icons";
 
 const { Header } = Layout;
@@ -48,6 +49,15 @@ const Navbar = () => {
     { key: "/contact", label: "Contact", icon: <MailOutlined /> },
   ];
 
+  // Account pages are only useful once logged in
+  if (localStorage.getItem("registered") === "true") {
+    menuItems.push({
+      key: "/settings",
+      label: "Settings",
+      icon: <SettingOutlined />,
+    });
+  }
+
   const handleMenuClick = () => {
     if (isMobile) {
       setVisible(false);
@@ -2,57 +2,31 @@ import { useLocation, useNavigate } from "react-router-dom";
 import { Card, Typography, Upload, Button, message, Progress } from "antd";
 import { UploadOutlined } from "@ant-design/icons";
 import { useState } from "react";
-import axios from "axios";
+import { uploadResumable } from "../helpers/resumableUpload";
+import {
+  encryptFile,
+  encryptedSize,
+  fetchRecipientKeys,
+} from "../helpers/e2ee";
+import { signManifest } from "../helpers/signing";
+import { contentMatchesType } from "../helpers/fileSignatures";
+import {
+  checkFile,
+  describeFileTypes,
+  formatSize,
+  useFilePolicy,
+} from "../helpers/filePolicy";
+import SentFiles from "./SentFiles";
+import StorageUsage from "./StorageUsage";
 
 const { Title, Text } = Typography;
-const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || "http://localhost:5000";
-
-// Allowed file types and their corresponding MIME types
-const ALLOWED_FILE_TYPES = {
-  // Documents
-  pdf: "application/pdf",
-  doc: "application/msword",
-  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
-  txt: "text/plain",
-  // Images
-  jpg: "image/jpeg",
-  jpeg: "image/jpeg",
-  png: "image/png",
-  gif: "image/gif",
-  // Audio
-  mp3: "audio/mpeg",
-  wav: "audio/wav",
-  // Video
-  mp4: "video/mp4",
-  mkv: "video/x-matroska",
-  // Archives
-  zip: "application/zip",
-  rar: "application/x-rar-compressed",
-  "7z": "application/x-7z-compressed",
-};
-
-// Helper function to check file type
-const isFileTypeAllowed = (file) => {
-  const fileType = file.type;
-  const fileExtension = file.name.split(".").pop().toLowerCase();
-
-  // Check if the file extension is in our allowed list
-  if (!ALLOWED_FILE_TYPES[fileExtension]) {
-    return false;
-  }
-
-  // Verify that the MIME type matches what we expect for this extension
-  if (ALLOWED_FILE_TYPES[fileExtension] !== fileType) {
-    return false;
-  }
-
-  return true;
-};
 
 function OfflineDataSharing() {
   const [fileList, setFileList] = useState([]);
   const [uploading, setUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
+  const [sentVersion, setSentVersion] = useState(0);
+  const policy = useFilePolicy();
   const navigate = useNavigate();
   const location = useLocation();
   const { targetPeerId, targetUsername } = location.state || {};
@@ -61,6 +35,10 @@ function OfflineDataSharing() {
   const storedUserData = localStorage.getItem("userData") || "{}";
   const userData = JSON.parse(storedUserData);
 
+  // The policy chooses between end-to-end encryption and malware scanning
+  const encrypt = policy?.offlineProtection !== "scanned";
+  const uploadSize = (file) => (encrypt ? encryptedSize(file.size) : file.size);
+
   const handleUpload = async () => {
     if (fileList.length === 0) {
       message.warning("Please select a file first");
@@ -79,17 +57,21 @@ function OfflineDataSharing() {
       const file = fileList[0];
 
       // Additional file type validation before upload
-      if (!isFileTypeAllowed(file)) {
-        throw new Error(
-          "File type not allowed. Please check the supported file types."
-        );
+      const refusal = checkFile(policy, file, "offline", {
+        size: uploadSize(file),
+      });
+      if (refusal) {
+        message.error(refusal);
+        return;
       }
 
-      const formData = new FormData();
-      formData.append("file", file);
-      formData.append("senderPeerId", userData.peerId);
-      formData.append("senderUsername", userData.username);
-      formData.append("receiverPeerId", targetPeerId);
+      // Extensions are easy to rename; the first bytes are harder to fake
+      if (!(await contentMatchesType(file, file.type))) {
+        message.error(
+          "File contents do not match its type. It may have been renamed."
+        );
+        return;
+      }
 
       console.log("Sending file with data:", {
         senderPeerId: userData.peerId,
@@ -99,21 +81,53 @@ function OfflineDataSharing() {
         fileSize: file.size,
       });
 
-      await axios.post(`${BACKEND_URL}/api/share/offline`, formData, {
-        headers: {
-          "Content-Type": "multipart/form-data",
-        },
-        onUploadProgress: (progressEvent) => {
-          const percentCompleted = Math.round(
-            (progressEvent.loaded * 100) / progressEvent.total
-          );
-          setUploadProgress(percentCompleted);
-        },
+      // Encrypt for every device the receiver has registered so storage
+      // only ever holds ciphertext
+      const recipientKeys = encrypt
+        ? await fetchRecipientKeys(targetPeerId)
+        : [];
+      if (encrypt && !recipientKeys.length) {
+        message.warning(
+          `${targetUsername} has not set up encryption yet. Ask them to log in once, then try again.`
+        );
+        return;
+      }
+      // Sign the plaintext so the receiver can check it after decrypting
+      const signed = await signManifest({
+        data: file,
+        fileName: file.name,
+        size: file.size,
+        receiverPeerId: targetPeerId,
+      });
+      let upload = file;
+      let wrappedKeys;
+      if (encrypt) {
+        const encrypted = await encryptFile(file, recipientKeys);
+        upload = new File([encrypted.blob], file.name, {
+          type: "application/octet-stream",
+        });
+        wrappedKeys = encrypted.wrappedKeys;
+      }
+
+      // Chunked upload that survives dropped connections and page reloads
+      await uploadResumable(upload, {
+        receiverPeerId: targetPeerId,
+        encrypted: encrypt,
+        mimeType: file.type,
+        wrappedKeys,
+        ...signed,
+        onProgress: (sent, total) =>
+          setUploadProgress(total ? Math.round((sent * 100) / total) : 100),
       });
 
-      message.success(`File queued for delivery to ${targetUsername}`);
+      message.success(
+        encrypt
+          ? `File encrypted and queued for delivery to ${targetUsername}`
+          : `File queued for delivery to ${targetUsername} once it has been scanned`
+      );
       setFileList([]);
       setUploadProgress(0);
+      setSentVersion((version) => version + 1);
 
       // Show detailed success message
       message.info({
@@ -125,9 +139,10 @@ function OfflineDataSharing() {
 
       // Handle specific error cases
       if (error.response?.status === 401) {
-        message.error(
-          "Authentication error. Please check your API key configuration."
-        );
+        message.error("Your session has expired. Please log in again.");
+      } else if (error.response?.data?.code) {
+        // Rejected upload: too large, wrong type, unknown receiver...
+        message.error(`Upload failed: ${error.response.data.error}`);
       } else if (error.response?.status === 500) {
         const errorMessage =
           error.response?.data?.error || "Server error occurred";
@@ -169,10 +184,14 @@ function OfflineDataSharing() {
         Peer ID: {targetPeerId}
       </Text>
 
-      <Text type="secondary" style={{ display: "block", marginBottom: 16 }}>
-        Supported file types: PDF, DOC, DOCX, TXT, JPG, PNG, GIF, MP3, WAV, MP4,
-        MKV, ZIP, RAR, 7Z
-      </Text>
+      <StorageUsage refreshKey={sentVersion} />
+
+      {policy && (
+        <Text type="secondary" style={{ display: "block", marginBottom: 16 }}>
+          Supported file types: {describeFileTypes(policy, "offline")}. Up to{" "}
+          {formatSize(policy.maxFileSize.offline)} per file.
+        </Text>
+      )}
 
       <Upload
         fileList={fileList}
@@ -182,18 +201,17 @@ function OfflineDataSharing() {
           setUploadProgress(0);
         }}
         beforeUpload={(file) => {
-          // Check file size
-          const maxSize = 100 * 1024 * 1024; // 100MB
-          if (file.size > maxSize) {
-            message.error("File size must be less than 100MB");
+          if (!policy) {
+            message.warning("Still loading the file policy. Please try again.");
             return false;
           }
 
-          // Check file type
-          if (!isFileTypeAllowed(file)) {
-            message.error(
-              "File type not supported. Please check the list of supported file types."
-            );
+          // Check file type and size
+          const refusal = checkFile(policy, file, "offline", {
+            size: uploadSize(file),
+          });
+          if (refusal) {
+            message.error(refusal);
             return false;
           }
 
@@ -215,7 +233,7 @@ function OfflineDataSharing() {
       <Button
         type="primary"
         onClick={handleUpload}
-        disabled={fileList.length === 0 || uploading}
+        disabled={fileList.length === 0 || uploading || !policy}
         loading={uploading}
         style={{ marginTop: 16 }}
       >
@@ -228,6 +246,14 @@ function OfflineDataSharing() {
       >
         Back to Data Sharing
       </Button>
+
+      <Title level={4} style={{ marginTop: 32 }}>
+        Recently Sent
+      </Title>
+      <SentFiles
+        refreshKey={sentVersion}
+        onRecall={() => setSentVersion((version) => version + 1)}
+      />
     </Card>
   );
 }
@@ -1,9 +1,11 @@
 import { Navigate } from "react-router-dom";
 import { message } from "antd";
 import PropTypes from "prop-types";
+import { getAuthToken } from "../helpers/auth";
 
 const ProtectedRoute = ({ children }) => {
-  const isRegistered = localStorage.getItem("registered") === "true";
+  const isRegistered =
+    localStorage.getItem("registered") === "true" && !!getAuthToken();
 
   if (!isRegistered) {
     message.error("Please register or login first");
@@ -25,6 +25,7 @@ import {
   LockFilled,
 } from "@ant-design/icons";
 import { motion } from "framer-motion";
+import { saveSession } from "../helpers/auth";
 
 const { Title, Text, Paragraph } = Typography;
 const { Step } = Steps;
@@ -33,8 +34,11 @@ const Registration = () => {
   const [form] = Form.useForm();
   const [otpSent, setOtpSent] = useState(false);
   const [otpVerified, setOtpVerified] = useState(false);
+  const [registrationTicket, setRegistrationTicket] = useState(null);
   const [loading, setLoading] = useState(false);
   const [loadingOtp, setLoadingOtp] = useState(false);
+  const [resendCountdown, setResendCountdown] = useState(0);
+  const [otpLength, setOtpLength] = useState(6);
   const [email, setEmail] = useState("");
   const navigate = useNavigate();
   const [currentStep, setCurrentStep] = useState(0);
@@ -58,6 +62,13 @@ const Registration = () => {
     }
   }, [otpSent, otpVerified]);
 
+  // Tick the resend countdown down once per second
+  useEffect(() => {
+    if (resendCountdown <= 0) return;
+    const timer = setTimeout(() => setResendCountdown((s) => s - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [resendCountdown]);
+
   // Send OTP
   const sendOtp = async () => {
     // Get email from form to ensure it's the most up-to-date value
@@ -81,12 +92,21 @@ const Registration = () => {
       message.success(
         "Verification code sent successfully! Check your email inbox and spam folder."
       );
+      setOtpLength(response.data.otpLength || 6);
+      setResendCountdown(response.data.resendAvailableIn || 0);
       setOtpSent(true);
     } catch (error) {
       console.error("OTP send error:", error);
       if (error.response?.data?.details) {
         console.error("Error details:", error.response.data.details);
       }
+      if (error.response?.data?.code === "OTP_COOLDOWN") {
+        setResendCountdown(error.response.data.retryAfter);
+        message.warning(
+          `Please wait ${error.response.data.retryAfter} seconds before requesting another code.`
+        );
+        return;
+      }
       message.error(
         error.response?.data?.error ||
           "Failed to send verification code. Please try again."
@@ -115,6 +135,8 @@ const Registration = () => {
 
       if (response.data.message === "OTP verified successfully") {
         message.success("Email verified successfully!");
+        // The backend only accepts /register with this single-use ticket
+        setRegistrationTicket(response.data.registrationTicket);
         setOtpVerified(true);
         // Clear only the OTP field
         form.setFieldValue("otp", undefined);
@@ -123,6 +145,19 @@ const Registration = () => {
       }
     } catch (error) {
       console.error("OTP verification error:", error);
+      const { code, attemptsRemaining } = error.response?.data || {};
+      if (code === "OTP_INVALID" && attemptsRemaining !== undefined) {
+        message.error(
+          `Invalid code. ${attemptsRemaining} attempt${
+            attemptsRemaining === 1 ? "" : "s"
+          } remaining.`
+        );
+        return;
+      }
+      if (code === "OTP_ATTEMPTS_EXCEEDED" || code === "OTP_EXPIRED") {
+        // The code has been burned, so the user needs a fresh one
+        form.setFieldValue("otp", undefined);
+      }
       message.error(
         error.response?.data?.error ||
           "Verification failed. Please check the code and try again."
@@ -134,7 +169,7 @@ const Registration = () => {
 
   // Register User
   const registerUser = async (values) => {
-    if (!otpVerified) {
+    if (!otpVerified || !registrationTicket) {
       message.error("Please verify your email first");
       return;
     }
@@ -159,6 +194,7 @@ const Registration = () => {
         username: formUsername,
         email: formEmail,
         password: formPassword,
+        registrationTicket,
       });
 
       console.log("Server response:", response.data);
@@ -170,8 +206,7 @@ const Registration = () => {
           username: response.data.username,
           email: response.data.email,
         };
-        localStorage.setItem("userData", JSON.stringify(userData));
-        localStorage.setItem("registered", "true");
+        saveSession(userData, response.data.token);
 
         message.success("Registration successful!");
 
@@ -190,6 +225,13 @@ const Registration = () => {
         status: error.response?.status,
       });
 
+      // An expired or used ticket means the email has to be verified again
+      if (error.response?.status === 403) {
+        setRegistrationTicket(null);
+        setOtpVerified(false);
+        setOtpSent(false);
+      }
+
       message.error(
         error.response?.data?.error || "Registration failed. Please try again."
       );
@@ -430,7 +472,11 @@ const Registration = () => {
               <Button
                 type="primary"
                 onClick={sendOtp}
-                disabled={!form.getFieldValue("email") || loadingOtp}
+                disabled={
+                  !form.getFieldValue("email") ||
+                  loadingOtp ||
+                  resendCountdown > 0
+                }
                 style={{
                   borderRadius: 8,
                   flex: 1,
@@ -496,6 +542,7 @@ const Registration = () => {
                     prefix={
                       <SafetyCertificateOutlined style={{ color: "#1890ff" }} />
                     }
+                    maxLength={otpLength}
                     placeholder="Enter verification code"
                     size="large"
                     style={{
@@ -528,10 +575,14 @@ const Registration = () => {
                 <Button
                   type="link"
                   onClick={sendOtp}
-                  disabled={loadingOtp}
+                  disabled={loadingOtp || resendCountdown > 0}
                   style={{ width: "100%", marginTop: 12 }}
                 >
-                  {loadingOtp ? "Sending..." : "Resend Verification Code"}
+                  {loadingOtp
+                    ? "Sending..."
+                    : resendCountdown > 0
+                    ? `Resend code in ${resendCountdown}s`
+                    : "Resend Verification Code"}
                 </Button>
               </Card>
             </motion.div>
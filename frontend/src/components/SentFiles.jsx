@@ -0,0 +1,131 @@
+import { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import axios from "axios";
+import { Button, Popconfirm, Table, Tag, Tooltip, message } from "antd";
+import socketManager from "../helpers/socket";
+
+const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || "http://localhost:5000";
+
+const STATUS_COLORS = {
+  pending: "gold",
+  ready: "blue",
+  delivered: "green",
+  failed: "red",
+  dismissed: "default",
+  recalled: "default",
+  quarantined: "red",
+};
+
+// Files the user queued for offline delivery, with a way to take back the
+// ones that have not been delivered yet
+const SentFiles = ({ refreshKey, onRecall }) => {
+  const [messages, setMessages] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const loadMessages = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${BACKEND_URL}/api/messages/sent`);
+      setMessages(response.data.messages);
+    } catch (error) {
+      console.error("Error loading sent files:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadMessages();
+  }, [refreshKey]);
+
+  // Follow status changes the server pushes for files in the list
+  useEffect(
+    () =>
+      socketManager.subscribe("message-status", (update) => {
+        if (update.status === "quarantined") {
+          // Reload for the scan details shown with the status
+          loadMessages();
+          return;
+        }
+        setMessages((current) =>
+          current.map((sent) =>
+            sent._id === update.messageId
+              ? { ...sent, status: update.status }
+              : sent
+          )
+        );
+      }),
+    []
+  );
+
+  const recall = async (messageId) => {
+    try {
+      await axios.post(`${BACKEND_URL}/api/messages/${messageId}/recall`);
+      message.success("File recalled and removed from storage");
+      if (onRecall) {
+        onRecall();
+      } else {
+        loadMessages();
+      }
+    } catch (error) {
+      message.error(error.response?.data?.error || "Failed to recall file");
+    }
+  };
+
+  return (
+    <Table
+      size="small"
+      rowKey="_id"
+      loading={loading}
+      pagination={false}
+      dataSource={messages}
+      columns={[
+        { title: "File", dataIndex: "fileName", ellipsis: true },
+        { title: "To", dataIndex: "receiverPeerId", ellipsis: true },
+        {
+          title: "Status",
+          dataIndex: "status",
+          render: (status, sent) => (
+            <>
+              {status === "quarantined" ? (
+                <Tooltip title={`Flagged as malware: ${sent.scan?.threat}`}>
+                  <Tag color={STATUS_COLORS[status]}>{status}</Tag>
+                </Tooltip>
+              ) : (
+                <Tag color={STATUS_COLORS[status]}>{status}</Tag>
+              )}
+              {sent.scan?.status === "skipped" && (
+                <Tooltip title="End-to-end encrypted files cannot be scanned for malware">
+                  <Tag color="orange">not scanned</Tag>
+                </Tooltip>
+              )}
+            </>
+          ),
+        },
+        {
+          title: "",
+          key: "recall",
+          render: (_, sent) =>
+            ["pending", "ready", "failed"].includes(sent.status) &&
+            !sent.contentRemovedAt && (
+              <Popconfirm
+                title="Recall this file? The receiver will no longer get it."
+                onConfirm={() => recall(sent._id)}
+              >
+                <Button size="small" danger>
+                  Recall
+                </Button>
+              </Popconfirm>
+            ),
+        },
+      ]}
+    />
+  );
+};
+
+SentFiles.propTypes = {
+  refreshKey: PropTypes.number,
+  onRecall: PropTypes.func,
+};
+
+export default SentFiles;
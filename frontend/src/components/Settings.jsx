@@ -0,0 +1,450 @@
+import { useEffect, useState } from "react";
+import {
+  Button,
+  Card,
+  Descriptions,
+  Form,
+  Input,
+  Modal,
+  Table,
+  Tag,
+  Typography,
+  message,
+} from "antd";
+import {
+  UserOutlined,
+  MailOutlined,
+  DeleteOutlined,
+  DownloadOutlined,
+  SettingOutlined,
+} from "@ant-design/icons";
+import { useNavigate } from "react-router-dom";
+import axios from "axios";
+import ChangePassword from "./ChangePassword";
+import TwoFactorSetup from "./TwoFactorSetup";
+import { clearSession, getAuthToken, saveSession } from "../helpers/auth";
+import socketManager from "../helpers/socket";
+import offlineMessageManager from "../helpers/offlineMessages.jsx";
+import { getLocalKeyIds } from "../helpers/e2ee";
+
+const { Title, Text } = Typography;
+const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || "http://localhost:5000";
+
+const cardStyle = { maxWidth: 480, margin: "0 auto 24px", borderRadius: 16 };
+
+const Settings = () => {
+  const navigate = useNavigate();
+  const [profile, setProfile] = useState(null);
+  const [savingUsername, setSavingUsername] = useState(false);
+  const [pendingEmail, setPendingEmail] = useState(null);
+  const [emailLoading, setEmailLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [deviceKeys, setDeviceKeys] = useState([]);
+  const [localKeyIds, setLocalKeyIds] = useState([]);
+  const [deleteOpen, setDeleteOpen] = useState(false);
+  const [deleting, setDeleting] = useState(false);
+  const [deleteForm] = Form.useForm();
+
+  // Keep the cached user data in step with the server profile
+  const applyProfile = (nextProfile, token) => {
+    setProfile(nextProfile);
+    saveSession(
+      {
+        peerId: nextProfile.peerId,
+        username: nextProfile.username,
+        email: nextProfile.email,
+      },
+      token || getAuthToken()
+    );
+  };
+
+  useEffect(() => {
+    axios
+      .get(`${BACKEND_URL}/api/me`)
+      .then((response) => setProfile(response.data.profile))
+      .catch((error) => {
+        console.error("Error loading profile:", error);
+        message.error("Failed to load your profile");
+      });
+    loadDeviceKeys();
+  }, []);
+
+  const loadDeviceKeys = async () => {
+    try {
+      const [encryptionKeys, signingKeys, localIds] = await Promise.all([
+        axios.get(`${BACKEND_URL}/api/keys`),
+        axios.get(`${BACKEND_URL}/api/signing-keys`),
+        getLocalKeyIds(),
+      ]);
+      setDeviceKeys([
+        ...encryptionKeys.data.keys.map((key) => ({ ...key, type: "keys" })),
+        ...signingKeys.data.keys.map((key) => ({
+          ...key,
+          type: "signing-keys",
+        })),
+      ]);
+      setLocalKeyIds(localIds);
+    } catch (error) {
+      console.error("Error loading encryption keys:", error);
+    }
+  };
+
+  const removeDeviceKey = async ({ keyId, type }) => {
+    try {
+      await axios.delete(`${BACKEND_URL}/api/${type}/${keyId}`);
+      setDeviceKeys((keys) => keys.filter((key) => key.keyId !== keyId));
+      message.success("Device key removed");
+    } catch (error) {
+      message.error(error.response?.data?.error || "Failed to remove key");
+    }
+  };
+
+  const updateUsername = async (values) => {
+    try {
+      setSavingUsername(true);
+      const response = await axios.patch(`${BACKEND_URL}/api/me`, {
+        username: values.username,
+      });
+      applyProfile(response.data.profile, response.data.token);
+      message.success("Username updated");
+    } catch (error) {
+      message.error(error.response?.data?.error || "Failed to update username");
+    } finally {
+      setSavingUsername(false);
+    }
+  };
+
+  const requestEmailChange = async (values) => {
+    try {
+      setEmailLoading(true);
+      await axios.post(`${BACKEND_URL}/api/me/email`, {
+        newEmail: values.newEmail,
+      });
+      setPendingEmail(values.newEmail);
+      message.success(`Verification code sent to ${values.newEmail}`);
+    } catch (error) {
+      message.error(
+        error.response?.data?.error || "Failed to send verification code"
+      );
+    } finally {
+      setEmailLoading(false);
+    }
+  };
+
+  const confirmEmailChange = async (values) => {
+    try {
+      setEmailLoading(true);
+      const response = await axios.post(`${BACKEND_URL}/api/me/email/verify`, {
+        newEmail: pendingEmail,
+        otp: values.otp,
+      });
+      applyProfile(response.data.profile);
+      setPendingEmail(null);
+      message.success("Email updated");
+    } catch (error) {
+      const { code, attemptsRemaining } = error.response?.data || {};
+      if (code === "OTP_ATTEMPTS_EXCEEDED" || code === "OTP_EXPIRED") {
+        setPendingEmail(null);
+      }
+      message.error(
+        code === "OTP_INVALID" && attemptsRemaining !== undefined
+          ? `Invalid code. ${attemptsRemaining} attempts remaining.`
+          : error.response?.data?.error || "Failed to verify code"
+      );
+    } finally {
+      setEmailLoading(false);
+    }
+  };
+
+  const downloadExport = async () => {
+    try {
+      setExporting(true);
+      const response = await axios.get(`${BACKEND_URL}/api/me/export`, {
+        responseType: "blob",
+      });
+
+      const fileName =
+        response.headers["content-disposition"]?.match(
+          /filename="(.+)"/
+        )?.[1] || "blockshare-export.json";
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      // Error bodies arrive as a blob because of the responseType
+      const body = error.response?.data;
+      const data = body instanceof Blob ? JSON.parse(await body.text()) : body;
+      if (error.response?.status === 429) {
+        const hours = Math.ceil((data?.retryAfter || 0) / 3600);
+        message.error(
+          `Export limit reached. Try again in about ${hours} hour${
+            hours === 1 ? "" : "s"
+          }.`
+        );
+      } else {
+        message.error(data?.error || "Failed to export your data");
+      }
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const deleteAccount = async () => {
+    try {
+      const values = await deleteForm.validateFields();
+      setDeleting(true);
+      await axios.delete(`${BACKEND_URL}/api/me`, { data: values });
+
+      socketManager.disconnect();
+      offlineMessageManager.cleanup();
+      clearSession();
+      message.success("Your account has been deleted");
+      navigate("/", { replace: true });
+    } catch (error) {
+      if (error.response) {
+        message.error(error.response.data?.error || "Failed to delete account");
+      }
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  return (
+    <div style={{ padding: "50px 16px 0" }}>
+      <Card style={cardStyle} loading={!profile}>
+        <Title level={2}>
+          <SettingOutlined style={{ marginRight: 12, color: "#1890ff" }} />
+          Account Settings
+        </Title>
+        {profile && (
+          <>
+            <Descriptions column={1} size="small" style={{ marginBottom: 24 }}>
+              <Descriptions.Item label="Email">
+                {profile.email}
+              </Descriptions.Item>
+              <Descriptions.Item label="Email verified">
+                {profile.emailVerified
+                  ? new Date(profile.emailVerified).toLocaleString()
+                  : "Not verified"}
+              </Descriptions.Item>
+              <Descriptions.Item label="Peer ID">
+                <Text copyable>{profile.peerId}</Text>
+              </Descriptions.Item>
+              <Descriptions.Item label="Member since">
+                {new Date(profile.createdAt).toLocaleDateString()}
+              </Descriptions.Item>
+            </Descriptions>
+
+            <Form
+              layout="vertical"
+              initialValues={{ username: profile.username }}
+              onFinish={updateUsername}
+            >
+              <Form.Item
+                name="username"
+                label="Username"
+                rules={[{ required: true, message: "Enter Username" }]}
+              >
+                <Input prefix={<UserOutlined style={{ color: "#1890ff" }} />} />
+              </Form.Item>
+              <Button type="primary" htmlType="submit" loading={savingUsername}>
+                Save Username
+              </Button>
+            </Form>
+          </>
+        )}
+      </Card>
+
+      <Card style={cardStyle} title="Change Email">
+        {!pendingEmail ? (
+          <Form layout="vertical" onFinish={requestEmailChange}>
+            <Form.Item
+              name="newEmail"
+              rules={[
+                { required: true, message: "Enter Email" },
+                { type: "email", message: "Invalid Email" },
+              ]}
+            >
+              <Input
+                prefix={<MailOutlined style={{ color: "#1890ff" }} />}
+                placeholder="New email address"
+              />
+            </Form.Item>
+            <Button htmlType="submit" loading={emailLoading}>
+              Send Verification Code
+            </Button>
+          </Form>
+        ) : (
+          <Form layout="vertical" onFinish={confirmEmailChange}>
+            <Text
+              type="secondary"
+              style={{ display: "block", marginBottom: 8 }}
+            >
+              Enter the code sent to <Text strong>{pendingEmail}</Text>
+            </Text>
+            <Form.Item
+              name="otp"
+              rules={[{ required: true, message: "Enter OTP" }]}
+            >
+              <Input placeholder="Verification code" />
+            </Form.Item>
+            <Button type="primary" htmlType="submit" loading={emailLoading}>
+              Confirm New Email
+            </Button>
+            <Button
+              onClick={() => setPendingEmail(null)}
+              style={{ marginLeft: 8 }}
+            >
+              Cancel
+            </Button>
+          </Form>
+        )}
+      </Card>
+
+      <Card style={cardStyle} title="Peer ID History">
+        <Table
+          size="small"
+          pagination={false}
+          rowKey="peerId"
+          dataSource={profile?.peerIdHistory || []}
+          columns={[
+            { title: "Peer ID", dataIndex: "peerId" },
+            {
+              title: "Assigned",
+              dataIndex: "assignedAt",
+              render: (value) =>
+                value ? new Date(value).toLocaleString() : "-",
+            },
+            {
+              title: "Retired",
+              dataIndex: "retiredAt",
+              render: (value) =>
+                value ? new Date(value).toLocaleString() : "Current",
+            },
+          ]}
+        />
+      </Card>
+
+      <ChangePassword />
+      <TwoFactorSetup />
+
+      <Card style={cardStyle} title="Device Keys">
+        <Text type="secondary" style={{ display: "block", marginBottom: 16 }}>
+          Files sent to you are encrypted for these devices, and files you send
+          are signed with them. Removing an encryption key means files sent to
+          that device can no longer be opened there; removing a signing key
+          means files it signed no longer show as verified.
+        </Text>
+        <Table
+          size="small"
+          pagination={false}
+          rowKey={(key) => `${key.type}:${key.keyId}`}
+          dataSource={deviceKeys}
+          columns={[
+            {
+              title: "Device",
+              dataIndex: "label",
+              render: (label, key) => (
+                <>
+                  {label || "Unnamed device"}
+                  {localKeyIds.includes(key.keyId) && (
+                    <Tag color="blue" style={{ marginLeft: 8 }}>
+                      This device
+                    </Tag>
+                  )}
+                </>
+              ),
+            },
+            {
+              title: "Type",
+              dataIndex: "type",
+              render: (type) => (type === "keys" ? "Encryption" : "Signing"),
+            },
+            {
+              title: "Added",
+              dataIndex: "createdAt",
+              render: (value) => new Date(value).toLocaleDateString(),
+            },
+            {
+              title: "",
+              key: "remove",
+              render: (_, key) => (
+                <Button
+                  size="small"
+                  danger
+                  onClick={() => removeDeviceKey(key)}
+                >
+                  Remove
+                </Button>
+              ),
+            },
+          ]}
+        />
+      </Card>
+
+      <Card style={cardStyle} title="Your Data">
+        <Text type="secondary" style={{ display: "block", marginBottom: 16 }}>
+          Download a JSON copy of your account, presence record, sent and
+          received files and their IPFS hashes.
+        </Text>
+        <Button
+          icon={<DownloadOutlined />}
+          onClick={downloadExport}
+          loading={exporting}
+        >
+          Download My Data
+        </Button>
+      </Card>
+
+      <Card
+        style={{ ...cardStyle, borderColor: "#ff4d4f" }}
+        title="Danger Zone"
+      >
+        <Text type="secondary" style={{ display: "block", marginBottom: 16 }}>
+          Deleting your account removes your profile, your presence record and
+          every queued offline file you sent or received.
+        </Text>
+        <Button
+          danger
+          icon={<DeleteOutlined />}
+          onClick={() => setDeleteOpen(true)}
+        >
+          Delete Account
+        </Button>
+      </Card>
+
+      <Modal
+        title="Delete account permanently?"
+        open={deleteOpen}
+        onOk={deleteAccount}
+        onCancel={() => setDeleteOpen(false)}
+        okText="Delete"
+        okButtonProps={{ danger: true, loading: deleting }}
+      >
+        <Form form={deleteForm} layout="vertical">
+          <Form.Item
+            name="password"
+            label="Confirm with your password"
+            rules={[{ required: true, message: "Enter your Password" }]}
+          >
+            <Input.Password />
+          </Form.Item>
+          {profile?.twoFactorEnabled && (
+            <Form.Item
+              name="code"
+              label="Authentication code"
+              rules={[{ required: true, message: "Enter a code" }]}
+            >
+              <Input placeholder="Authentication or recovery code" />
+            </Form.Item>
+          )}
+        </Form>
+      </Modal>
+    </div>
+  );
+};
+
+export default Settings;
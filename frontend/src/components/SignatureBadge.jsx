@@ -0,0 +1,34 @@
+import PropTypes from "prop-types";
+import { Tag, Tooltip } from "antd";
+import { SafetyCertificateOutlined, WarningOutlined } from "@ant-design/icons";
+
+// Shows the outcome of verifyManifest next to a received file
+const SignatureBadge = ({ result }) =>
+  result.verified ? (
+    <Tooltip
+      title={`Signed by ${result.senderUsername} on ${new Date(
+        result.manifest.timestamp
+      ).toLocaleString()}`}
+    >
+      <Tag color="green" icon={<SafetyCertificateOutlined />}>
+        Verified sender
+      </Tag>
+    </Tooltip>
+  ) : (
+    <Tooltip title={result.reason}>
+      <Tag color="orange" icon={<WarningOutlined />}>
+        Unverified
+      </Tag>
+    </Tooltip>
+  );
+
+SignatureBadge.propTypes = {
+  result: PropTypes.shape({
+    verified: PropTypes.bool.isRequired,
+    senderUsername: PropTypes.string,
+    manifest: PropTypes.shape({ timestamp: PropTypes.string }),
+    reason: PropTypes.string,
+  }).isRequired,
+};
+
+export default SignatureBadge;
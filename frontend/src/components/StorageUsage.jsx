@@ -0,0 +1,59 @@
+import { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import axios from "axios";
+import { Progress, Typography } from "antd";
+
+const { Text } = Typography;
+
+const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || "http://localhost:5000";
+
+const toMB = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+
+// How much of the user's offline sharing quotas their queued files use.
+// Delivered and recalled files stop counting once storage is cleaned up.
+const StorageUsage = ({ refreshKey }) => {
+  const [usage, setUsage] = useState(null);
+
+  useEffect(() => {
+    axios
+      .get(`${BACKEND_URL}/api/me/usage`)
+      .then((response) => setUsage(response.data))
+      .catch((error) => console.error("Error loading storage usage:", error));
+  }, [refreshKey]);
+
+  if (!usage) return null;
+
+  const { storage, dailyFiles } = usage;
+  const percent = Math.min(
+    Math.round((storage.usedBytes * 100) / storage.limitBytes),
+    100
+  );
+
+  return (
+    <div style={{ marginTop: 16 }}>
+      <Text>
+        Storage used: {toMB(storage.usedBytes)} MB of {toMB(storage.limitBytes)}{" "}
+        MB
+      </Text>
+      <Progress
+        percent={percent}
+        status={percent >= 90 ? "exception" : "normal"}
+        size="small"
+      />
+      <Text type="secondary">
+        Files sent today: {dailyFiles.used} of {dailyFiles.limit}
+        {dailyFiles.used >= dailyFiles.limit &&
+          dailyFiles.resetsAt &&
+          ` (next file allowed at ${new Date(
+            dailyFiles.resetsAt
+          ).toLocaleTimeString()})`}
+      </Text>
+    </div>
+  );
+};
+
+StorageUsage.propTypes = {
+  refreshKey: PropTypes.number,
+};
+
+export default StorageUsage;
@@ -0,0 +1,193 @@
+import { useEffect, useState } from "react";
+import {
+  Alert,
+  Button,
+  Card,
+  Form,
+  Input,
+  QRCode,
+  Space,
+  Tag,
+  Typography,
+  message,
+} from "antd";
+import { SafetyOutlined, LockOutlined } from "@ant-design/icons";
+import axios from "axios";
+
+const { Title, Text, Paragraph } = Typography;
+const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || "http://localhost:5000";
+
+const TwoFactorSetup = () => {
+  const [status, setStatus] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const loadStatus = async () => {
+    try {
+      const response = await axios.get(`${BACKEND_URL}/api/2fa/status`);
+      setStatus(response.data);
+    } catch (error) {
+      console.error("Error loading 2FA status:", error);
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  // Step 1: ask the backend for a new secret to scan
+  const startEnrollment = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.post(`${BACKEND_URL}/api/2fa/enroll`);
+      setEnrollment(response.data);
+    } catch (error) {
+      message.error(
+        error.response?.data?.error || "Failed to start two-factor setup"
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Step 2: confirm the app works by entering its current code
+  const confirmEnrollment = async (values) => {
+    try {
+      setLoading(true);
+      const response = await axios.post(`${BACKEND_URL}/api/2fa/verify`, {
+        code: values.code.trim(),
+      });
+      setRecoveryCodes(response.data.recoveryCodes);
+      setEnrollment(null);
+      message.success("Two-factor authentication enabled");
+      loadStatus();
+    } catch (error) {
+      message.error(error.response?.data?.error || "Invalid code");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const disableTwoFactor = async (values) => {
+    try {
+      setLoading(true);
+      await axios.post(`${BACKEND_URL}/api/2fa/disable`, {
+        password: values.password,
+        code: values.code.trim(),
+      });
+      setRecoveryCodes(null);
+      message.success("Two-factor authentication disabled");
+      loadStatus();
+    } catch (error) {
+      message.error(
+        error.response?.data?.error || "Failed to disable two-factor"
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Card style={{ maxWidth: 480, margin: "0 auto 24px", borderRadius: 16 }}>
+      <Title level={3}>
+        <SafetyOutlined style={{ marginRight: 12, color: "#1890ff" }} />
+        Two-Factor Authentication{" "}
+        {status?.enabled ? (
+          <Tag color="green">On</Tag>
+        ) : (
+          <Tag color="default">Off</Tag>
+        )}
+      </Title>
+
+      {recoveryCodes && (
+        <Alert
+          type="warning"
+          showIcon
+          style={{ marginBottom: 16 }}
+          message="Save your recovery codes"
+          description={
+            <>
+              <Paragraph>
+                Each code works once if you lose access to your authenticator
+                app. They will not be shown again.
+              </Paragraph>
+              <Paragraph copyable={{ text: recoveryCodes.join("\n") }}>
+                <Text code>{recoveryCodes.join("  ")}</Text>
+              </Paragraph>
+            </>
+          }
+        />
+      )}
+
+      {status && !status.enabled && !enrollment && (
+        <>
+          <Text type="secondary" style={{ display: "block", marginBottom: 16 }}>
+            Require a code from an authenticator app every time you log in.
+          </Text>
+          <Button type="primary" onClick={startEnrollment} loading={loading}>
+            Set up two-factor
+          </Button>
+        </>
+      )}
+
+      {enrollment && (
+        <Space direction="vertical" style={{ width: "100%" }}>
+          <Text>
+            Scan this QR code with your authenticator app, then enter the code
+            it shows.
+          </Text>
+          <QRCode value={enrollment.otpauthUri} />
+          <Text type="secondary">
+            Can&apos;t scan it? Enter this key manually:{" "}
+            <Text code copyable>
+              {enrollment.secret}
+            </Text>
+          </Text>
+          <Form onFinish={confirmEnrollment} layout="inline">
+            <Form.Item
+              name="code"
+              rules={[{ required: true, message: "Enter the code" }]}
+            >
+              <Input placeholder="123456" maxLength={6} />
+            </Form.Item>
+            <Button type="primary" htmlType="submit" loading={loading}>
+              Enable
+            </Button>
+          </Form>
+        </Space>
+      )}
+
+      {status?.enabled && (
+        <>
+          <Text type="secondary" style={{ display: "block", marginBottom: 16 }}>
+            {status.recoveryCodesRemaining} recovery codes remaining. Enter your
+            password and a current code to turn two-factor off.
+          </Text>
+          <Form onFinish={disableTwoFactor} layout="vertical">
+            <Form.Item
+              name="password"
+              rules={[{ required: true, message: "Enter your Password" }]}
+            >
+              <Input.Password
+                prefix={<LockOutlined style={{ color: "#1890ff" }} />}
+                placeholder="Password"
+              />
+            </Form.Item>
+            <Form.Item
+              name="code"
+              rules={[{ required: true, message: "Enter a code" }]}
+            >
+              <Input placeholder="Authentication or recovery code" />
+            </Form.Item>
+            <Button danger htmlType="submit" loading={loading}>
+              Disable two-factor
+            </Button>
+          </Form>
+        </>
+      )}
+    </Card>
+  );
+};
+
+export default TwoFactorSetup;
@@ -0,0 +1,67 @@
+import axios from "axios";
+
+const TOKEN_KEY = "authToken";
+
+/**
+ * Get the access token issued by /login or /register
+ * @returns {string|null} The stored token
+ */
+export const getAuthToken = () => localStorage.getItem(TOKEN_KEY);
+
+/**
+ * Persist the logged-in user and their access token
+ * @param {Object} userData User data with peerId, username, and email
+ * @param {string} token Access token returned by the backend
+ */
+export const saveSession = (userData, token) => {
+  localStorage.setItem("userData", JSON.stringify(userData));
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.setItem("registered", "true");
+};
+
+/**
+ * Remove every trace of the current session from localStorage
+ */
+export const clearSession = () => {
+  localStorage.removeItem("userData");
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem("registered");
+  localStorage.removeItem("currentPeerId");
+};
+
+/**
+ * Build a sendBeacon body. Beacons cannot carry headers, so the token
+ * travels in the payload instead.
+ * @param {Object} data Extra fields to send
+ * @returns {string} JSON payload
+ */
+export const beaconPayload = (data = {}) =>
+  JSON.stringify({ ...data, token: getAuthToken() });
+
+/**
+ * Attach the access token to every axios request and send the user back
+ * to the login page when the backend rejects the session.
+ */
+export const installAuthInterceptors = () => {
+  axios.interceptors.request.use((config) => {
+    const token = getAuthToken();
+    if (token) {
+      config.headers = config.headers || {};
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+  });
+
+  axios.interceptors.response.use(
+    (response) => response,
+    (error) => {
+      if (error.response?.status === 401 && getAuthToken()) {
+        clearSession();
+        if (window.location.pathname !== "/login") {
+          window.location.assign("/login");
+        }
+      }
+      return Promise.reject(error);
+    }
+  );
+};
@@ -0,0 +1,72 @@
+import axios from "axios";
+
+const CHUNK_SIZE = 8 * 1024 * 1024; // 8MB per Range request
+const MAX_RETRIES = 5;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Download a queued file through the backend's download proxy in Range
+ * chunks, resuming from the last received byte after a dropped connection.
+ * @param {Object} message Message with `downloadUrl` and `fileSize`
+ * @param {Object} options Optional `onProgress(receivedBytes, totalBytes)`
+ * @returns {Promise<Blob>} The file as stored (still encrypted if it was)
+ */
+export const downloadQueuedFile = async (message, { onProgress } = {}) => {
+  const total = message.fileSize;
+
+  // Empty files have no ranges, but the backend still has to see the
+  // download before delivery can be confirmed
+  if (total === 0) {
+    const response = await axios.get(message.downloadUrl, {
+      responseType: "blob",
+    });
+    return response.data;
+  }
+
+  const parts = [];
+  let offset = 0;
+  let failures = 0;
+  let etag = null;
+
+  while (offset < total) {
+    const end = Math.min(offset + CHUNK_SIZE, total) - 1;
+    try {
+      const response = await axios.get(message.downloadUrl, {
+        responseType: "blob",
+        headers: {
+          Range: `bytes=${offset}-${end}`,
+          // Restart from scratch rather than splice two versions together
+          ...(etag && { "If-Range": etag }),
+        },
+        onDownloadProgress: (event) =>
+          onProgress?.(offset + event.loaded, total),
+      });
+
+      if (response.status === 200) {
+        // Server sent the whole file instead of the range
+        parts.length = 0;
+        parts.push(response.data);
+        offset = response.data.size;
+      } else {
+        parts.push(response.data);
+        offset += response.data.size;
+      }
+      etag = response.headers.etag || etag;
+      failures = 0;
+      onProgress?.(offset, total);
+    } catch (error) {
+      // Client errors (removed, recalled, not yours) will not fix themselves
+      const status = error.response?.status;
+      if (status && status < 500) throw error;
+      if (++failures > MAX_RETRIES) throw error;
+
+      console.warn(
+        `Download interrupted, retrying (${failures}/${MAX_RETRIES})`
+      );
+      await wait(Math.min(1000 * 2 ** failures, 15000));
+    }
+  }
+
+  return new Blob(parts);
+};
@@ -0,0 +1,322 @@
+import axios from "axios";
+import { ensureRegisteredKey, listLocalKeys } from "./keyStore";
+
+const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || "http://localhost:5000";
+
+// Encrypted file layout:
+//   "BSE1" | header length (uint32) | header JSON | encrypted segments
+// Each segment is SEGMENT_SIZE bytes of plaintext sealed with AES-GCM under
+// a data key; the data key is wrapped for every receiver device key with
+// ECDH (ephemeral sender key) + HKDF.
+//
+// Version 2 derives the data key and nonce from the plaintext's hash and
+// sends the wrapped keys beside the file instead of in its header, so the
+// same file always encrypts to the same bytes and storage keeps it once.
+// The price is that anyone who already has a file can tell whether a
+// stored object holds it; the user documentation states this under
+// Security & Privacy. Version 1 files (random key, wrapped keys in the
+// header) still decrypt.
+const MAGIC = "BSE1";
+const SEGMENT_SIZE = 1024 * 1024; // 1MB
+const GCM_TAG_BYTES = 16;
+const HKDF_INFO = new TextEncoder().encode("blockshare-e2ee-v1");
+const CONTENT_KEY_INFO = new TextEncoder().encode("blockshare-e2ee-v2-content");
+const ECDH_PARAMS = { name: "ECDH", namedCurve: "P-256" };
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (text) =>
+  Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+
+// Every segment gets a unique IV: 8 random bytes plus the segment number
+const segmentIv = (noncePrefix, index) => {
+  const iv = new Uint8Array(12);
+  iv.set(noncePrefix);
+  new DataView(iv.buffer).setUint32(8, index);
+  return iv;
+};
+
+// Version 2 header; its length does not depend on the nonce's value
+const encodeHeader = (noncePrefix) =>
+  new TextEncoder().encode(
+    JSON.stringify({
+      v: 2,
+      segmentSize: SEGMENT_SIZE,
+      noncePrefix: toBase64(noncePrefix),
+    })
+  );
+
+/**
+ * Size of what encryptFile makes of a file, which is what gets uploaded
+ * and checked against the size limits
+ * @param {number} size Plaintext size in bytes
+ * @returns {number}
+ */
+export const encryptedSize = (size) =>
+  MAGIC.length +
+  4 +
+  encodeHeader(new Uint8Array(8)).length +
+  size +
+  Math.max(Math.ceil(size / SEGMENT_SIZE), 1) * GCM_TAG_BYTES;
+
+// The last segment is marked so a truncated file fails to decrypt
+const segmentAad = (isLast) => Uint8Array.of(isLast ? 1 : 0);
+
+const deriveWrappingKey = async (privateKey, publicKey) => {
+  const sharedSecret = await crypto.subtle.deriveBits(
+    { name: "ECDH", public: publicKey },
+    privateKey,
+    256
+  );
+  const hkdfKey = await crypto.subtle.importKey(
+    "raw",
+    sharedSecret,
+    "HKDF",
+    false,
+    ["deriveKey"]
+  );
+  return crypto.subtle.deriveKey(
+    { name: "HKDF", hash: "SHA-256", salt: new Uint8Array(0), info: HKDF_INFO },
+    hkdfKey,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+};
+
+/**
+ * Make sure this browser has an encryption key registered for the
+ * logged-in user, generating and registering one on first use.
+ * @returns {Promise<string>} The device's keyId
+ */
+export const ensureDeviceKey = async () => {
+  const { keyId } = await ensureRegisteredKey(
+    `${BACKEND_URL}/api/keys`,
+    ECDH_PARAMS,
+    ["deriveBits"]
+  );
+  return keyId;
+};
+
+/**
+ * Key ids stored in this browser, so the UI can mark "this device"
+ * @returns {Promise<string[]>}
+ */
+export const getLocalKeyIds = async () =>
+  (await listLocalKeys()).map((key) => key.keyId);
+
+/**
+ * Fetch the public keys a receiver has registered
+ * @param {string} peerId Receiver's peer ID
+ * @returns {Promise<Array>} `{ keyId, publicKey }` entries
+ */
+export const fetchRecipientKeys = async (peerId) => {
+  const { data } = await axios.get(`${BACKEND_URL}/api/users/${peerId}/keys`);
+  return data.keys;
+};
+
+// Data key and nonce prefix for a file, both fixed by its contents. Web
+// Crypto cannot hash a stream, so each segment is hashed on its own and the
+// key comes from the hash of those hashes; no more than one segment is
+// read into memory at a time.
+const deriveContentKey = async (file) => {
+  const segmentCount = Math.max(Math.ceil(file.size / SEGMENT_SIZE), 1);
+  const segmentHashes = new Uint8Array(segmentCount * 32);
+  for (let i = 0; i < segmentCount; i++) {
+    const segment = await file
+      .slice(i * SEGMENT_SIZE, (i + 1) * SEGMENT_SIZE)
+      .arrayBuffer();
+    segmentHashes.set(
+      new Uint8Array(await crypto.subtle.digest("SHA-256", segment)),
+      i * 32
+    );
+  }
+  const digest = await crypto.subtle.digest("SHA-256", segmentHashes);
+  const hkdfKey = await crypto.subtle.importKey("raw", digest, "HKDF", false, [
+    "deriveBits",
+  ]);
+  const bits = new Uint8Array(
+    await crypto.subtle.deriveBits(
+      {
+        name: "HKDF",
+        hash: "SHA-256",
+        salt: new Uint8Array(0),
+        info: CONTENT_KEY_INFO,
+      },
+      hkdfKey,
+      (32 + 8) * 8
+    )
+  );
+  return { rawDataKey: bits.slice(0, 32), noncePrefix: bits.slice(32) };
+};
+
+// Wrap the data key for one receiver device
+const wrapDataKey = async (rawDataKey, { keyId, publicKey }) => {
+  const recipientKey = await crypto.subtle.importKey(
+    "jwk",
+    publicKey,
+    ECDH_PARAMS,
+    false,
+    []
+  );
+  const ephemeral = await crypto.subtle.generateKey(ECDH_PARAMS, true, [
+    "deriveBits",
+  ]);
+  const wrappingKey = await deriveWrappingKey(
+    ephemeral.privateKey,
+    recipientKey
+  );
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const wrappedKey = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    wrappingKey,
+    rawDataKey
+  );
+  const { kty, crv, x, y } = await crypto.subtle.exportKey(
+    "jwk",
+    ephemeral.publicKey
+  );
+
+  return {
+    keyId,
+    epk: { kty, crv, x, y },
+    iv: toBase64(iv),
+    wrappedKey: toBase64(wrappedKey),
+  };
+};
+
+/**
+ * Encrypt a file so only the given receiver keys can open it
+ * @param {File|Blob} file Plaintext file
+ * @param {Array} recipientKeys Keys from fetchRecipientKeys
+ * @returns {Promise<Object>} `{ blob, wrappedKeys }`: the ciphertext ready
+ * to upload, and the data key wrapped for each receiver device as a JSON
+ * string to send with it
+ */
+export const encryptFile = async (file, recipientKeys) => {
+  if (!recipientKeys.length) {
+    throw new Error("The receiver has no encryption keys registered");
+  }
+
+  const { rawDataKey, noncePrefix } = await deriveContentKey(file);
+  const dataKey = await crypto.subtle.importKey(
+    "raw",
+    rawDataKey,
+    "AES-GCM",
+    false,
+    ["encrypt"]
+  );
+
+  const header = encodeHeader(noncePrefix);
+  const headerLength = new Uint8Array(4);
+  new DataView(headerLength.buffer).setUint32(0, header.length);
+
+  const parts = [new TextEncoder().encode(MAGIC), headerLength, header];
+  const segmentCount = Math.max(Math.ceil(file.size / SEGMENT_SIZE), 1);
+  for (let i = 0; i < segmentCount; i++) {
+    const plaintext = await file
+      .slice(i * SEGMENT_SIZE, (i + 1) * SEGMENT_SIZE)
+      .arrayBuffer();
+    const ciphertext = await crypto.subtle.encrypt(
+      {
+        name: "AES-GCM",
+        iv: segmentIv(noncePrefix, i),
+        additionalData: segmentAad(i === segmentCount - 1),
+      },
+      dataKey,
+      plaintext
+    );
+    parts.push(new Uint8Array(ciphertext));
+  }
+
+  const recipients = await Promise.all(
+    recipientKeys.map((key) => wrapDataKey(rawDataKey, key))
+  );
+  return {
+    blob: new Blob(parts, { type: "application/octet-stream" }),
+    wrappedKeys: JSON.stringify(recipients),
+  };
+};
+
+/**
+ * Decrypt a file downloaded from storage with this browser's key
+ * @param {Blob} blob Ciphertext produced by encryptFile
+ * @param {string} wrappedKeys The wrapped keys sent with it (version 2)
+ * @returns {Promise<Blob>} The original file
+ */
+export const decryptFile = async (blob, wrappedKeys) => {
+  const prefix = new Uint8Array(await blob.slice(0, 8).arrayBuffer());
+  if (new TextDecoder().decode(prefix.slice(0, 4)) !== MAGIC) {
+    throw new Error("File is not end-to-end encrypted");
+  }
+  const headerLength = new DataView(prefix.buffer).getUint32(4);
+  const headerEnd = 8 + headerLength;
+  const header = JSON.parse(
+    new TextDecoder().decode(await blob.slice(8, headerEnd).arrayBuffer())
+  );
+
+  const localKeys = await listLocalKeys();
+  let recipient = null;
+  let deviceKey = null;
+  for (const entry of header.recipients || JSON.parse(wrappedKeys || "[]")) {
+    deviceKey = localKeys.find((key) => key.keyId === entry.keyId);
+    if (deviceKey) {
+      recipient = entry;
+      break;
+    }
+  }
+  if (!recipient) {
+    throw new Error(
+      "This file was encrypted for another device. Open it where you were logged in when it was sent."
+    );
+  }
+
+  const ephemeralKey = await crypto.subtle.importKey(
+    "jwk",
+    recipient.epk,
+    ECDH_PARAMS,
+    false,
+    []
+  );
+  const wrappingKey = await deriveWrappingKey(
+    deviceKey.privateKey,
+    ephemeralKey
+  );
+  const rawDataKey = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: fromBase64(recipient.iv) },
+    wrappingKey,
+    fromBase64(recipient.wrappedKey)
+  );
+  const dataKey = await crypto.subtle.importKey(
+    "raw",
+    rawDataKey,
+    "AES-GCM",
+    false,
+    ["decrypt"]
+  );
+
+  const noncePrefix = fromBase64(header.noncePrefix);
+  const sealedSize = header.segmentSize + GCM_TAG_BYTES;
+  const segmentCount = Math.max(
+    Math.ceil((blob.size - headerEnd) / sealedSize),
+    1
+  );
+  const parts = [];
+  for (let i = 0; i < segmentCount; i++) {
+    const start = headerEnd + i * sealedSize;
+    const ciphertext = await blob
+      .slice(start, start + sealedSize)
+      .arrayBuffer();
+    const plaintext = await crypto.subtle.decrypt(
+      {
+        name: "AES-GCM",
+        iv: segmentIv(noncePrefix, i),
+        additionalData: segmentAad(i === segmentCount - 1),
+      },
+      dataKey,
+      ciphertext
+    );
+    parts.push(new Uint8Array(plaintext));
+  }
+
+  return new Blob(parts);
+};
@@ -0,0 +1,69 @@
+import { useEffect, useState } from "react";
+import axios from "axios";
+
+const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || "http://localhost:5000";
+
+export const formatSize = (bytes) =>
+  bytes >= 1024 * 1024 * 1024
+    ? `${+(bytes / (1024 * 1024 * 1024)).toFixed(1)}GB`
+    : `${Math.round(bytes / (1024 * 1024))}MB`;
+
+// Largest file of a policy type allowed in a sharing mode
+const sizeLimit = (policy, type, mode) =>
+  Math.min(policy.maxFileSize[mode], type.maxSize ?? Infinity);
+
+/**
+ * Load the file types and sizes the backend allows this user to share
+ * @returns {Object|null} The policy, or null until it has loaded
+ */
+export const useFilePolicy = () => {
+  const [policy, setPolicy] = useState(null);
+
+  useEffect(() => {
+    axios
+      .get(`${BACKEND_URL}/api/policy`)
+      .then((response) => setPolicy(response.data.policy))
+      .catch((error) => console.error("Error loading file policy:", error));
+  }, []);
+
+  return policy;
+};
+
+/**
+ * Help text listing the allowed types, noting any with a lower size cap
+ * @param {Object} policy Policy from useFilePolicy
+ * @param {string} mode "p2p" or "offline"
+ */
+export const describeFileTypes = (policy, mode) =>
+  policy.types
+    .map((type) =>
+      sizeLimit(policy, type, mode) < policy.maxFileSize[mode]
+        ? `${type.label} (up to ${formatSize(sizeLimit(policy, type, mode))})`
+        : type.label
+    )
+    .join(", ");
+
+/**
+ * Check a file's extension, type and size against the policy
+ * @param {Object} policy Policy from useFilePolicy
+ * @param {File} file File to check
+ * @param {string} mode "p2p" or "offline"
+ * @param {Object} options `size`: bytes actually sent, when that is not the
+ * file's own size (e.g. once encrypted)
+ * @returns {string|null} Why the file is refused, or null if it is allowed
+ */
+export const checkFile = (policy, file, mode, { size = file.size } = {}) => {
+  const extension = file.name.split(".").pop().toLowerCase();
+  const type = policy.types.find((t) => t.extensions.includes(extension));
+
+  // The type the browser reports has to agree with the extension
+  if (!type || type.mimeType !== file.type) {
+    return "File type not supported. Please check the list of supported file types.";
+  }
+
+  const limit = sizeLimit(policy, type, mode);
+  if (size > limit) {
+    return `${type.label} files must be less than ${formatSize(limit)}`;
+  }
+  return null;
+};
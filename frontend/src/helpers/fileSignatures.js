@@ -0,0 +1,76 @@
+import axios from "axios";
+
+const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || "http://localhost:5000";
+
+// The backend owns the magic-byte table and sends it with the file policy.
+// Each signature part is [offset, hex bytes, optional hex mask] and all
+// parts must match. The table is the same for every user, so it is fetched
+// once per page load.
+let signatureTable = null;
+const loadSignatureTable = () => {
+  if (!signatureTable) {
+    signatureTable = axios
+      .get(`${BACKEND_URL}/api/policy`)
+      .then((response) => response.data.signatures)
+      .catch((error) => {
+        // Try again on the next check
+        signatureTable = null;
+        throw error;
+      });
+  }
+  return signatureTable;
+};
+
+const hexBytes = (hex) => hex.match(/../g).map((byte) => parseInt(byte, 16));
+
+const matches = (bytes, [offset, hex, mask]) => {
+  const expected = hexBytes(hex);
+  const bits = mask ? hexBytes(mask) : expected.map(() => 0xff);
+  return (
+    bytes.length >= offset + expected.length &&
+    expected.every((byte, i) => (bytes[offset + i] & bits[i]) === byte)
+  );
+};
+
+// Text has no signature: accept valid UTF-8 without NUL bytes
+const looksLikeText = (bytes) => {
+  if (bytes.includes(0)) return false;
+  try {
+    // stream: a character cut off at the end of the sample is fine
+    new TextDecoder("utf-8", { fatal: true }).decode(bytes, { stream: true });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Identify a file or blob from its first bytes rather than its name
+ * @param {Blob} file File to inspect
+ * @returns {Promise<string|null>} MIME type, or null if unrecognized
+ */
+export const sniffFileType = async (file) => {
+  const { signatures, sniffBytes } = await loadSignatureTable();
+  const bytes = new Uint8Array(await file.slice(0, sniffBytes).arrayBuffer());
+  const signature = signatures.find(({ parts }) =>
+    parts.every((part) => matches(bytes, part))
+  );
+  if (signature) return signature.type;
+  return looksLikeText(bytes) ? "text/plain" : null;
+};
+
+/**
+ * Whether a file's contents match the type it claims to be
+ * @param {Blob} file File to inspect
+ * @param {string} declaredType MIME type it was sent as
+ * @returns {Promise<boolean>}
+ */
+export const contentMatchesType = async (file, declaredType) => {
+  const { containerTypes } = await loadSignatureTable();
+  const detectedType = await sniffFileType(file);
+  return (
+    !!detectedType &&
+    (detectedType === declaredType ||
+      detectedType === containerTypes[declaredType])
+  );
+};
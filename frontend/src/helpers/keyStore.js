@@ -0,0 +1,79 @@
+import axios from "axios";
+
+// Private keys never leave this browser: they live in IndexedDB as
+// non-extractable CryptoKeys, keyed by the keyId the backend assigned
+const DB_NAME = "blockshare-keys";
+const STORE_NAME = "deviceKeys";
+
+const openDb = () =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () =>
+      request.result.createObjectStore(STORE_NAME, { keyPath: "keyId" });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const withStore = async (mode, action) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = action(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Every key pair stored in this browser
+ * @returns {Promise<Array>} `{ keyId, privateKey, createdAt }` records
+ */
+export const listLocalKeys = () =>
+  withStore("readonly", (store) => store.getAll());
+
+// One registration at a time per endpoint, so parallel callers share it
+const pendingRegistrations = new Map();
+
+/**
+ * Make sure this browser has a key pair registered at `endpoint`,
+ * generating and registering one if none of the local keys is known there.
+ * @param {string} endpoint Key collection URL, e.g. `/api/keys`
+ * @param {Object} algorithm WebCrypto key generation params
+ * @param {Array} usages Usages of the private key
+ * @returns {Promise<Object>} The local `{ keyId, privateKey }` record
+ */
+export const ensureRegisteredKey = (endpoint, algorithm, usages) => {
+  if (!pendingRegistrations.has(endpoint)) {
+    const registration = (async () => {
+      const [localKeys, { data }] = await Promise.all([
+        listLocalKeys(),
+        axios.get(endpoint),
+      ]);
+      const registered = new Set(data.keys.map((key) => key.keyId));
+      const existing = localKeys.find((key) => registered.has(key.keyId));
+      if (existing) return existing;
+
+      const keyPair = await crypto.subtle.generateKey(algorithm, false, usages);
+      const { kty, crv, x, y } = await crypto.subtle.exportKey(
+        "jwk",
+        keyPair.publicKey
+      );
+      const response = await axios.post(endpoint, {
+        publicKey: { kty, crv, x, y },
+        label: `${
+          navigator.platform || "Browser"
+        } key, ${new Date().toLocaleDateString()}`,
+      });
+
+      const record = {
+        keyId: response.data.keyId,
+        privateKey: keyPair.privateKey,
+        createdAt: Date.now(),
+      };
+      await withStore("readwrite", (store) => store.put(record));
+      return record;
+    })().finally(() => pendingRegistrations.delete(endpoint));
+    pendingRegistrations.set(endpoint, registration);
+  }
+  return pendingRegistrations.get(endpoint);
+};
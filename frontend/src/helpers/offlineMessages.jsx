@@ -1,6 +1,12 @@
 import React from "react";
 import axios from "axios";
-import { notification, Button } from "antd";
+import { notification, Alert, Button } from "antd";
+import { ensureDeviceKey, decryptFile } from "./e2ee";
+import { ensureSigningKey, verifyManifest } from "./signing";
+import { downloadQueuedFile } from "./download";
+import { contentMatchesType } from "./fileSignatures";
+import SignatureBadge from "../components/SignatureBadge";
+import socketManager from "./socket";
 
 const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || "http://localhost:5000";
 
@@ -9,6 +15,16 @@ class OfflineMessageManager {
     this.checkInterval = null;
     this.isChecking = false;
     this.userData = null;
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Notification key for a queued file, so pushes and polls update one
+   * notification instead of stacking copies
+   * @param {string} messageId Message ID
+   */
+  notificationKey(messageId) {
+    return `offline-${messageId}`;
   }
 
   /**
@@ -17,7 +33,56 @@ class OfflineMessageManager {
    */
   init(userData) {
     this.userData = userData;
+    this.subscribeToPushes();
     this.startMessageChecking();
+
+    // Register this browser's keys so senders can encrypt for it and
+    // receivers can verify what it sends
+    ensureDeviceKey().catch((error) =>
+      console.error("Error registering encryption key:", error)
+    );
+    ensureSigningKey().catch((error) =>
+      console.error("Error registering signing key:", error)
+    );
+  }
+
+  /**
+   * Follow files being offered, recalled and changing status as the server
+   * pushes them over the socket
+   */
+  subscribeToPushes() {
+    this.unsubscribe();
+    this.unsubscribers = [
+      // Catch up on anything pushed while the socket was down
+      socketManager.subscribe("connect", () => this.checkForPendingMessages()),
+      socketManager.subscribe("file-received", () =>
+        this.checkForPendingMessages()
+      ),
+      socketManager.subscribe("file-recalled", (data) => {
+        notification.destroy(this.notificationKey(data.messageId));
+        notification.info({
+          message: "File Recalled",
+          description: `${data.from} recalled ${data.fileName} before you downloaded it.`,
+          duration: 6,
+        });
+      }),
+      socketManager.subscribe("message-status", (data) => {
+        if (data.status === "quarantined") {
+          this.checkForPendingMessages();
+        } else if (
+          data.receiverPeerId === this.userData?.peerId &&
+          data.status !== "ready"
+        ) {
+          // Downloaded, dismissed or failed, possibly in another tab
+          notification.destroy(this.notificationKey(data.messageId));
+        }
+      }),
+    ];
+  }
+
+  unsubscribe() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.unsubscribers = [];
   }
 
   /**
@@ -28,9 +93,12 @@ class OfflineMessageManager {
       clearInterval(this.checkInterval);
     }
 
-    // Check for new messages every 30 seconds
+    // Files are pushed over the socket; poll every 30 seconds only while
+    // it is down
     this.checkInterval = setInterval(() => {
-      this.checkForPendingMessages();
+      if (!socketManager.isConnected()) {
+        this.checkForPendingMessages();
+      }
     }, 30 * 1000);
 
     // Also check immediately
@@ -47,18 +115,15 @@ class OfflineMessageManager {
       this.isChecking = true;
 
       const response = await axios.get(
-        `${BACKEND_URL}/api/messages/pending/${this.userData.peerId}`,
-        {
-          params: {
-            username: this.userData.username,
-            email: this.userData.email,
-          },
-        }
+        `${BACKEND_URL}/api/messages/pending/${this.userData.peerId}`
       );
 
       if (response.data.count > 0) {
         this.handlePendingMessages(response.data.messages);
       }
+      if (response.data.quarantined) {
+        this.handleQuarantinedMessages(response.data.quarantined);
+      }
     } catch (error) {
       console.error("Error checking pending messages:", error);
     } finally {
@@ -74,13 +139,33 @@ class OfflineMessageManager {
     if (!messages || !messages.length) return;
 
     // Process each message
-    messages.forEach((message) => {
+    messages.forEach(async (message) => {
+      // The contents are checked against the manifest once downloaded
+      const signatureCheck = await this.verifySender(message);
+
       // Show notification for each message
       notification.info({
+        key: this.notificationKey(message._id),
         message: "File Available from Offline Sharing",
-        description: `${message.senderUsername} shared a file: ${
-          message.fileName
-        } (${(message.fileSize / 1024).toFixed(2)} KB)`,
+        description: (
+          <>
+            {`${message.senderUsername} shared a file: ${message.fileName} (${(
+              message.fileSize / 1024
+            ).toFixed(2)} KB)`}
+            <div style={{ marginTop: 8 }}>
+              <SignatureBadge result={signatureCheck} />
+            </div>
+            {message.scan?.status === "skipped" && (
+              <Alert
+                style={{ marginTop: 8 }}
+                type="warning"
+                showIcon
+                message="Not scanned for malware"
+                description="End-to-end encrypted files cannot be scanned. Only open it if you trust the sender."
+              />
+            )}
+          </>
+        ),
         duration: 0, // Don't auto close
         btn: (
           <div>
@@ -105,49 +190,131 @@ class OfflineMessageManager {
   }
 
   /**
-   * Download a file from IPFS
+   * Warn about files the malware scan flagged
+   * @param {Object} quarantined `received` and `sent` messages
+   */
+  handleQuarantinedMessages({ received = [], sent = [] }) {
+    received.forEach((message) =>
+      notification.warning({
+        message: "Blocked File",
+        description: `${message.senderUsername} tried to share ${message.fileName}, but it was flagged as malware (${message.scan.threat}) and will not be delivered.`,
+        duration: 0,
+      })
+    );
+    sent.forEach((message) =>
+      notification.error({
+        message: "File Quarantined",
+        description: `${message.fileName} was flagged as malware (${message.scan.threat}) and was not delivered. Check your device for infections.`,
+        duration: 0,
+      })
+    );
+  }
+
+  /**
+   * Check a queued file's signed manifest
+   * @param {Object} message Message object
+   * @param {Blob} data Decrypted contents, when available
+   * @returns {Promise<Object>} Result of verifyManifest
+   */
+  verifySender(message, data) {
+    return verifyManifest({
+      manifest: message.manifest,
+      signature: message.signature,
+      senderPeerId: message.senderPeerId,
+      fileName: message.fileName,
+      data,
+    });
+  }
+
+  /**
+   * Download a queued file
    * @param {Object} message Message object
    */
   async downloadFile(message) {
-    try {
-      // Open IPFS gateway URL in a new tab
-      window.open(
-        `https://gateway.pinata.cloud/ipfs/${message.ipfsHash}`,
-        "_blank"
-      );
+    const progressKey = `download-${message._id}`;
+    const showProgress = (received, total) =>
+      notification.open({
+        key: progressKey,
+        message: `Downloading ${message.fileName}`,
+        description: `${total ? Math.floor((received / total) * 100) : 100}%`,
+        duration: 0,
+      });
 
-      // Mark as delivered
-      await axios.post(`${BACKEND_URL}/api/messages/delivered/${message._id}`, {
-        peerId: this.userData.peerId,
+    try {
+      showProgress(0, message.fileSize);
+      const stored = await downloadQueuedFile(message, {
+        onProgress: showProgress,
       });
+      const file = message.encrypted
+        ? await decryptFile(stored, message.wrappedKeys)
+        : stored;
+
+      // The server cannot check ciphertext, so check what it decrypted to
+      if (!(await contentMatchesType(file, message.mimeType))) {
+        throw new Error(
+          `The contents of ${message.fileName} do not match its declared type`
+        );
+      }
 
+      // A signed file must match what the sender signed
+      if (message.manifest) {
+        const signatureCheck = await this.verifySender(message, file);
+        if (!signatureCheck.verified) {
+          throw new Error(signatureCheck.reason);
+        }
+      }
+
+      this.saveFile(file, message);
+
+      // Only a completed download counts as delivered
+      await axios.post(`${BACKEND_URL}/api/messages/delivered/${message._id}`);
+
+      notification.destroy(progressKey);
+      notification.destroy(this.notificationKey(message._id));
       notification.success({
-        message: "File download initiated",
-        description: "The file should begin downloading in a new tab.",
+        message: "File downloaded",
+        description: `${message.fileName} has been saved.`,
         duration: 3,
       });
     } catch (error) {
       console.error("Error downloading file:", error);
+      notification.destroy(progressKey);
       notification.error({
         message: "Download Error",
-        description: "Failed to download the file. Please try again.",
+        description:
+          error.response?.data?.error ||
+          `Failed to download the file. ${error.message}`,
         duration: 4,
       });
     }
   }
 
+  /**
+   * Save a downloaded file under its original name
+   * @param {Blob} data File contents
+   * @param {Object} message Message object
+   */
+  saveFile(data, message) {
+    const file = new Blob([data], {
+      type: message.mimeType || "application/octet-stream",
+    });
+    const url = URL.createObjectURL(file);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = message.fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+  }
+
   /**
    * Dismiss a message without downloading
    * @param {string} messageId Message ID to dismiss
    */
   async dismissMessage(messageId) {
     try {
-      // Mark as delivered but without downloading
-      await axios.post(`${BACKEND_URL}/api/messages/delivered/${messageId}`, {
-        peerId: this.userData.peerId,
-      });
-
-      // Close the notification (this will be handled by Ant Design)
+      // Declined files are not counted as delivered
+      await axios.post(`${BACKEND_URL}/api/messages/${messageId}/dismiss`);
+      notification.destroy(this.notificationKey(messageId));
     } catch (error) {
       console.error("Error dismissing message:", error);
     }
@@ -157,6 +324,7 @@ class OfflineMessageManager {
    * Stop checking for messages and clean up
    */
   cleanup() {
+    this.unsubscribe();
     if (this.checkInterval) {
       clearInterval(this.checkInterval);
       this.checkInterval = null;
@@ -1,5 +1,7 @@
 import Peer from "peerjs";
 import { Button, message, notification } from "antd";
+import { verifyManifest } from "./signing";
+import SignatureBadge from "../components/SignatureBadge";
 
 // DataType Enum
 export const DataType = {
@@ -14,7 +16,7 @@ let connectionMap = new Map(); // To manage peer connections
 const processingFiles = new Set();
 
 // Centralized file handling function
-const handleFileDownload = (receivedData) => {
+const handleFileDownload = async (receivedData, senderPeerId) => {
   // Generate a unique file identifier
   const fileId = `${receivedData.fileName}-${Date.now()}`;
 
@@ -27,6 +29,15 @@ const handleFileDownload = (receivedData) => {
     // Mark file as being processed
     processingFiles.add(fileId);
 
+    // Check the sender's signature before offering the file
+    const signatureCheck = await verifyManifest({
+      manifest: receivedData.manifest,
+      signature: receivedData.signature,
+      senderPeerId,
+      fileName: receivedData.fileName,
+      data: receivedData.file,
+    });
+
     // Create a Blob from the file data
     const blob = new Blob([receivedData.file], { type: receivedData.fileType });
     const url = URL.createObjectURL(blob);
@@ -34,9 +45,16 @@ const handleFileDownload = (receivedData) => {
     // Show notification with download option
     notification.open({
       message: "File Received",
-      description: `${receivedData.fileName} (${(
-        receivedData.file.byteLength / 1024
-      ).toFixed(2)} KB)`,
+      description: (
+        <>
+          {`${receivedData.fileName} (${(
+            receivedData.file.byteLength / 1024
+          ).toFixed(2)} KB)`}
+          <div style={{ marginTop: 8 }}>
+            <SignatureBadge result={signatureCheck} />
+          </div>
+        </>
+      ),
       btn: (
         <Button
           type="primary"
@@ -191,7 +209,7 @@ export const PeerConnection = {
     if (conn) {
       conn.on("data", (receivedData) => {
         if (receivedData.dataType === DataType.FILE) {
-          handleFileDownload(receivedData);
+          handleFileDownload(receivedData, id);
         }
         // Only call callback if it's not a file (to prevent duplicate handling)
         if (receivedData.dataType !== DataType.FILE) {
@@ -0,0 +1,129 @@
+import axios from "axios";
+
+const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || "http://localhost:5000";
+const MAX_RETRIES = 5;
+
+// Remember the session per file so a reload can pick up where it stopped
+const sessionStorageKey = (file, receiverPeerId) =>
+  `upload:${receiverPeerId}:${file.name}:${file.size}:${file.lastModified}`;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Resume a saved session if the backend still has it, else start a new one.
+// Encrypted uploads are never saved: each encryption makes a new File with
+// nothing stable to save it under, so they can only resume within the same
+// page load.
+const openSession = async (
+  file,
+  { receiverPeerId, encrypted, mimeType, wrappedKeys, manifest, signature }
+) => {
+  const key = sessionStorageKey(file, receiverPeerId);
+  const saved = encrypted
+    ? null
+    : JSON.parse(localStorage.getItem(key) || "null");
+
+  if (saved) {
+    try {
+      const { data } = await axios.get(
+        `${BACKEND_URL}/api/uploads/${saved.uploadId}`
+      );
+      return { ...saved, offset: data.offset };
+    } catch (error) {
+      if (error.response?.status !== 404) throw error;
+      localStorage.removeItem(key);
+    }
+  }
+
+  const { data } = await axios.post(`${BACKEND_URL}/api/uploads`, {
+    receiverPeerId,
+    fileName: file.name,
+    fileSize: file.size,
+    mimeType,
+    encrypted,
+    wrappedKeys,
+    manifest,
+    signature,
+  });
+  const session = { uploadId: data.uploadId, chunkSize: data.chunkSize };
+  if (!encrypted) localStorage.setItem(key, JSON.stringify(session));
+  return { ...session, offset: data.offset };
+};
+
+/**
+ * Upload a file in chunks, resuming from the server's offset after a
+ * dropped connection, then queue it for the receiver.
+ * @param {File} file File to send
+ * @param {Object} options `receiverPeerId`, an optional
+ * `onProgress(sentBytes, totalBytes)` callback, for end-to-end encrypted
+ * files `encrypted: true` with the original `mimeType` and the
+ * `wrappedKeys` from encryptFile, and the sender's signed `manifest` and
+ * `signature`
+ * @returns {Promise<Object>} The backend's response for the queued file
+ */
+export const uploadResumable = async (
+  file,
+  {
+    receiverPeerId,
+    onProgress,
+    encrypted = false,
+    mimeType = file.type,
+    wrappedKeys,
+    manifest,
+    signature,
+  }
+) => {
+  const session = await openSession(file, {
+    receiverPeerId,
+    encrypted,
+    mimeType,
+    wrappedKeys,
+    manifest,
+    signature,
+  });
+  const uploadUrl = `${BACKEND_URL}/api/uploads/${session.uploadId}`;
+  let offset = session.offset;
+  let failures = 0;
+  let resync = false;
+
+  while (offset < file.size || resync) {
+    try {
+      // After an error, ask the server how much it actually received
+      if (resync) {
+        const { data } = await axios.get(uploadUrl);
+        offset = data.offset;
+        resync = false;
+        continue;
+      }
+
+      const start = offset;
+      const { data } = await axios.patch(
+        uploadUrl,
+        file.slice(start, start + session.chunkSize),
+        {
+          headers: {
+            "Content-Type": "application/offset+octet-stream",
+            "Upload-Offset": String(start),
+          },
+          onUploadProgress: (event) =>
+            onProgress?.(start + event.loaded, file.size),
+        }
+      );
+      offset = data.offset;
+      failures = 0;
+      onProgress?.(offset, file.size);
+    } catch (error) {
+      // Client errors other than an offset mismatch will not fix themselves
+      const status = error.response?.status;
+      if (status && status < 500 && status !== 409) throw error;
+      if (++failures > MAX_RETRIES) throw error;
+
+      console.warn(`Upload interrupted, retrying (${failures}/${MAX_RETRIES})`);
+      await wait(Math.min(1000 * 2 ** failures, 15000));
+      resync = true;
+    }
+  }
+
+  const { data } = await axios.post(`${uploadUrl}/complete`);
+  localStorage.removeItem(sessionStorageKey(file, receiverPeerId));
+  return data;
+};
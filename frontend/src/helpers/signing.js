@@ -0,0 +1,158 @@
+import axios from "axios";
+import { ensureRegisteredKey } from "./keyStore";
+
+const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || "http://localhost:5000";
+
+// Senders sign a manifest describing each file with a per-browser ECDSA key
+// registered at /api/signing-keys; receivers check it against the keys the
+// backend lists for the sender's peer ID
+const ECDSA_PARAMS = { name: "ECDSA", namedCurve: "P-256" };
+const SIGN_PARAMS = { name: "ECDSA", hash: "SHA-256" };
+
+const toBase64Url = (bytes) =>
+  btoa(String.fromCharCode(...new Uint8Array(bytes)))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+const fromBase64Url = (text) =>
+  Uint8Array.from(atob(text.replace(/-/g, "+").replace(/_/g, "/")), (c) =>
+    c.charCodeAt(0)
+  );
+
+const currentUser = () => JSON.parse(localStorage.getItem("userData") || "{}");
+
+/**
+ * Hex SHA-256 of a file's contents
+ * @param {Blob|ArrayBuffer} data File contents
+ * @returns {Promise<string>}
+ */
+export const sha256Hex = async (data) => {
+  const buffer = data instanceof Blob ? await data.arrayBuffer() : data;
+  const digest = await crypto.subtle.digest("SHA-256", buffer);
+  return [...new Uint8Array(digest)]
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+};
+
+/**
+ * Make sure this browser has a signing key registered for the logged-in
+ * user, generating and registering one on first use.
+ * @returns {Promise<Object>} The local `{ keyId, privateKey }` record
+ */
+export const ensureSigningKey = () =>
+  ensureRegisteredKey(`${BACKEND_URL}/api/signing-keys`, ECDSA_PARAMS, [
+    "sign",
+  ]);
+
+/**
+ * Sign a manifest for a file about to be sent
+ * @param {Object} file `data` (Blob or ArrayBuffer), `fileName`, `size`
+ * and `receiverPeerId`
+ * @returns {Promise<Object>} `{ manifest, signature }` to send with the file;
+ * the manifest is the exact JSON text that was signed
+ */
+export const signManifest = async ({
+  data,
+  fileName,
+  size,
+  receiverPeerId,
+}) => {
+  const { keyId, privateKey } = await ensureSigningKey();
+  const { peerId, username } = currentUser();
+
+  const manifest = JSON.stringify({
+    v: 1,
+    keyId,
+    sha256: await sha256Hex(data),
+    fileName,
+    size,
+    senderPeerId: peerId,
+    senderUsername: username,
+    receiverPeerId,
+    timestamp: new Date().toISOString(),
+  });
+  const signature = await crypto.subtle.sign(
+    SIGN_PARAMS,
+    privateKey,
+    new TextEncoder().encode(manifest)
+  );
+
+  return { manifest, signature: toBase64Url(signature) };
+};
+
+const unverified = (reason) => ({ verified: false, reason });
+
+/**
+ * Check that a received file was signed by `senderPeerId` for this user.
+ * Pass `data` to also check the contents against the signed hash; without
+ * it only the signature, sender and receiver are checked.
+ * @param {Object} received `manifest`, `signature`, `senderPeerId`,
+ * `fileName` and optionally `data` (Blob or ArrayBuffer)
+ * @returns {Promise<Object>} `{ verified: true, senderUsername, manifest }`
+ * or `{ verified: false, reason }`
+ */
+export const verifyManifest = async ({
+  manifest,
+  signature,
+  senderPeerId,
+  fileName,
+  data,
+}) => {
+  if (!manifest || !signature) {
+    return unverified("The sender did not sign this file");
+  }
+
+  try {
+    const parsed = JSON.parse(manifest);
+    const { data: sender } = await axios.get(
+      `${BACKEND_URL}/api/users/${senderPeerId}/keys`
+    );
+    const signingKey = sender.signingKeys.find(
+      (key) => key.keyId === parsed.keyId
+    );
+    if (!signingKey) {
+      return unverified("Signed with a key the sender has not registered");
+    }
+
+    const publicKey = await crypto.subtle.importKey(
+      "jwk",
+      signingKey.publicKey,
+      ECDSA_PARAMS,
+      false,
+      ["verify"]
+    );
+    const valid = await crypto.subtle.verify(
+      SIGN_PARAMS,
+      publicKey,
+      fromBase64Url(signature),
+      new TextEncoder().encode(manifest)
+    );
+    if (!valid) {
+      return unverified("The signature does not match the manifest");
+    }
+
+    if (
+      parsed.senderPeerId !== senderPeerId ||
+      parsed.receiverPeerId !== currentUser().peerId ||
+      parsed.fileName !== fileName
+    ) {
+      return unverified("The manifest was signed for a different transfer");
+    }
+
+    if (data) {
+      const size = data instanceof Blob ? data.size : data.byteLength;
+      if (parsed.size !== size || parsed.sha256 !== (await sha256Hex(data))) {
+        return unverified("The file does not match the signed manifest");
+      }
+    }
+
+    return {
+      verified: true,
+      senderUsername: sender.username,
+      manifest: parsed,
+    };
+  } catch (error) {
+    console.error("Error verifying file signature:", error);
+    return unverified("The signature could not be checked");
+  }
+};
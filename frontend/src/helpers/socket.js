@@ -1,5 +1,6 @@
 import io from "socket.io-client";
 import { message } from "antd";
+import { getAuthToken } from "./auth";
 
 const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || "http://localhost:5000";
 
@@ -9,6 +10,32 @@ class SocketManager {
     this.connected = false;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
+    // Handlers outlive any one socket, so they survive reconnects and logins
+    this.listeners = new Map();
+  }
+
+  /**
+   * Listen for a server event, or "connect" for every (re)connection
+   * @param {string} event Event name
+   * @param {Function} handler Called with the event payload
+   * @returns {Function} Removes the handler again
+   */
+  subscribe(event, handler) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(handler);
+    return () => this.listeners.get(event)?.delete(handler);
+  }
+
+  dispatch(event, ...args) {
+    this.listeners.get(event)?.forEach((handler) => {
+      try {
+        handler(...args);
+      } catch (error) {
+        console.error(`Error handling ${event} event:`, error);
+      }
+    });
   }
 
   connect(userData) {
@@ -23,6 +50,8 @@ class SocketManager {
 
     this.currentUser = userData.peerId;
     this.socket = io(BACKEND_URL, {
+      // Read the token on every (re)connect so a fresh login is picked up
+      auth: (cb) => cb({ token: getAuthToken() }),
       reconnection: true,
       reconnectionDelay: 1000,
       reconnectionDelayMax: 5000,
@@ -33,6 +62,8 @@ class SocketManager {
       console.log("🔌 Connected to Socket.IO server");
       this.connected = true;
       this.reconnectAttempts = 0;
+      this.socket.emit("user-online");
+      this.dispatch("connect");
     });
 
     this.socket.on("disconnect", () => {
@@ -40,23 +71,9 @@ class SocketManager {
       this.connected = false;
     });
 
-    this.socket.on("file-received", (data) => {
-      // Show notification using Ant Design's notification system
-      const { notification } = require("antd");
-      notification.success({
-        message: "New File Available",
-        description: `${data.from} has shared a file: ${data.fileName} (${(
-          data.fileSize / 1024
-        ).toFixed(2)} KB)`,
-        duration: 0,
-        onClick: () => {
-          window.open(
-            `https://gateway.pinata.cloud/ipfs/${data.ipfsHash}`,
-            "_blank"
-          );
-        },
-      });
-    });
+    // file-received, file-recalled, message-status and anything else the
+    // server pushes
+    this.socket.onAny((event, ...args) => this.dispatch(event, ...args));
 
     this.socket.on("connect_error", (error) => {
       console.error("Socket connection error:", error);
@@ -71,7 +88,7 @@ class SocketManager {
     // Heartbeat to keep connection alive
     this.heartbeatInterval = setInterval(() => {
       if (this.socket && this.connected) {
-        this.socket.emit("heartbeat", { peerId: userData.peerId });
+        this.socket.emit("heartbeat");
       }
     }, 30000); // Every 30 seconds
   }
@@ -80,7 +97,7 @@ class SocketManager {
     if (this.socket) {
       // Emit offline status before disconnecting
       if (this.connected && this.currentUser) {
-        this.socket.emit("user-offline", { peerId: this.currentUser });
+        this.socket.emit("user-offline");
       }
 
       this.socket.disconnect();
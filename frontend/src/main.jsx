@@ -4,6 +4,9 @@ import { Provider } from "react-redux";
 import { BrowserRouter } from "react-router-dom";
 import App from "./App.jsx";
 import { store } from "./store";
+import { installAuthInterceptors } from "./helpers/auth";
+
+installAuthInterceptors();
 
 createRoot(document.getElementById("root")).render(
   <StrictMode>